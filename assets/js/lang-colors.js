@@ -0,0 +1,24 @@
+// Language colours (GitHub linguist palette), shared by index.html,
+// knowledge-graph.html and the cover art generator (scripts/lib/cover-art.js).
+// Loads as a browser global (window.langColors) or a CommonJS module.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.langColors = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    return {
+        'JavaScript': '#f1e05a', 'TypeScript': '#3178c6', 'Python': '#3572A5',
+        'Go': '#00ADD8', 'Rust': '#dea584', 'Java': '#b07219', 'C++': '#f34b7d',
+        'C': '#555555', 'C#': '#178600', 'Ruby': '#701516', 'PHP': '#4F5D95',
+        'Swift': '#F05138', 'Kotlin': '#A97BFF', 'Dart': '#00B4AB',
+        'Shell': '#89e051', 'HTML': '#e34c26', 'CSS': '#563d7c', 'SCSS': '#c6538c',
+        'Vue': '#41b883', 'Svelte': '#ff3e00', 'JSX': '#f1e05a', 'TSX': '#3178c6',
+        'YAML': '#cb171e', 'JSON': '#292929', 'Markdown': '#083fa1',
+        'SQL': '#e38c00', 'Docker': '#384d54', 'Terraform': '#5C4EE5',
+        'Elixir': '#6e4a7e', 'Lua': '#000080', 'Scala': '#c22d40',
+        'R': '#198CE7', 'GraphQL': '#e10098', 'Zig': '#ec915c',
+        'Jupyter Notebook': '#DA5B0B'
+    };
+});
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const { loadSiteConfig, applySiteConfig } = require('./lib/site-config');
+
+// Writes site.config.json into the static pages (see scripts/lib/site-config.js).
+//   node scripts/apply-site-config.js           # Rewrite pages that changed
+//   node scripts/apply-site-config.js --check   # Exit 1 if any page is out of date
+
+const PAGES = ['index.html', 'knowledge-graph.html'];
+
+function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(a => a !== '--check');
+  if (unknown.length > 0) throw new Error(`Unknown option ${unknown[0]}`);
+  const check = args.includes('--check');
+
+  const config = loadSiteConfig();
+  const stale = [];
+
+  for (const page of PAGES) {
+    const html = fs.readFileSync(page, 'utf8');
+    const applied = applySiteConfig(html, config);
+    if (applied === html) continue;
+    stale.push(page);
+    if (!check) fs.writeFileSync(page, applied);
+  }
+
+  if (check && stale.length > 0) {
+    console.error(`Out of date with site.config.json: ${stale.join(', ')}. Run node scripts/apply-site-config.js`);
+    process.exit(1);
+  }
+  console.log(stale.length > 0 ? `Updated ${stale.join(', ')}` : 'Pages match site.config.json');
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,28 @@
+const fs = require('fs');
+const { readForksFile } = require('./lib/forks-store');
+const { DATA_DIR, writeSiteData } = require('./lib/site-data');
+
+// Rebuild data/ (the page data index.html and knowledge-graph.html load) from
+// forks.json, without fetching or generating anything. update-forks.js does
+// this after every run; use this after editing forks.json by hand.
+//   node scripts/build-site-data.js [file]
+
+function main() {
+  const file = process.argv.slice(2).find(a => !a.startsWith('--')) || 'forks.json';
+
+  if (!fs.existsSync(file)) {
+    console.error(`Error: ${file} not found. Run update-forks.js first.`);
+    process.exit(1);
+  }
+
+  const { data } = readForksFile(file);
+  const { written, removed } = writeSiteData(data);
+  console.log(`${DATA_DIR}/: ${written} files written, ${removed} removed (${data.forks.length} projects in ${file})`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const { HISTORY_DIR, buildChangelog } = require('./lib/history');
+
+// "What changed" across the portfolio, from the snapshots in history/.
+//   node scripts/changelog.js                     # Changes in the last run
+//   node scripts/changelog.js --since 2026-01-01  # Everything since a date
+//   node scripts/changelog.js --json --output changes.json
+
+function parseArgs(argv) {
+  const options = { since: null, json: false, output: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--since' || arg === '--output') {
+      const value = argv[++i];
+      if (!value) throw new Error(`${arg} needs a value`);
+      options[arg.slice(2)] = value;
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+  if (options.since) {
+    const since = new Date(options.since);
+    if (isNaN(since)) throw new Error(`--since expects a date like 2026-01-01, got "${options.since}"`);
+    options.since = since.toISOString();
+  }
+  return options;
+}
+
+function formatMarkdown(entries, since) {
+  const heading = since ? `Changes since ${since.slice(0, 10)}` : 'Changes in the last run';
+  if (entries.length === 0) return `# ${heading}\n\nNothing changed.\n`;
+
+  const lines = [`# ${heading}`, ''];
+  for (const entry of entries) {
+    lines.push(`- **${entry.name}** (${entry.at.slice(0, 10)}): ${entry.changes.join('; ')}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!fs.existsSync(HISTORY_DIR)) {
+    console.error(`Error: ${HISTORY_DIR}/ not found. Run update-forks.js first.`);
+    process.exit(1);
+  }
+
+  const entries = buildChangelog({ since: options.since });
+  const text = options.json
+    ? JSON.stringify({ since: options.since, changes: entries }, null, 2) + '\n'
+    : formatMarkdown(entries, options.since);
+
+  if (options.output) {
+    fs.writeFileSync(options.output, text);
+    console.log(`Wrote ${entries.length} changed projects to ${options.output}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const { readForksFile } = require('./lib/forks-store');
+const { forkAdvice } = require('./lib/upstream');
+
+// Which forks carry real work and which are dead weight, from the upstream
+// counts update-forks.js stores in forks.json.
+//   node scripts/fork-report.js [file] [--json]
+
+const SECTIONS = [
+  { advice: 'rebase', title: 'Worth rebasing', note: 'our own commits, upstream has moved on' },
+  { advice: 'delete', title: 'Candidates for deletion', note: 'no commits of our own and stale' },
+  { advice: 'keep', title: 'Own work, up to date', note: 'ahead of upstream and current' },
+  { advice: 'mirror', title: 'Plain mirrors', note: 'no commits of our own, not stale yet' },
+  { advice: 'unchecked', title: 'Not checked yet', note: 'no compare result stored' }
+];
+
+function buildReport(forks) {
+  const groups = Object.fromEntries(SECTIONS.map(s => [s.advice, []]));
+  for (const fork of forks) {
+    if (fork.type !== 'fork') continue;
+    groups[forkAdvice(fork.upstream)].push(fork);
+  }
+  // Most behind first: that's where a rebase or a delete matters most
+  for (const list of Object.values(groups)) {
+    list.sort((a, b) => ((b.upstream && b.upstream.behindBy) || 0) - ((a.upstream && a.upstream.behindBy) || 0));
+  }
+  return groups;
+}
+
+function formatMarkdown(groups) {
+  const lines = ['# Fork report', ''];
+  for (const section of SECTIONS) {
+    const forks = groups[section.advice];
+    lines.push(`## ${section.title} (${forks.length})`, '', `_${section.note}_`, '');
+    if (forks.length === 0) {
+      lines.push('None.', '');
+      continue;
+    }
+    for (const fork of forks) {
+      const upstream = fork.upstream;
+      const detail = upstream
+        ? `${upstream.label}${upstream.lastSyncedAt ? `, last synced ${upstream.lastSyncedAt.slice(0, 10)}` : ''}`
+        : 'not compared';
+      lines.push(`- [${fork.name}](${fork.url}) from ${fork.parent ? fork.parent.name : 'unknown'}: ${detail}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const file = args.find(a => !a.startsWith('--')) || 'forks.json';
+
+  if (!fs.existsSync(file)) {
+    console.error(`Error: ${file} not found.`);
+    process.exit(1);
+  }
+
+  const { data } = readForksFile(file);
+  const groups = buildReport(data.forks);
+
+  if (json) {
+    const summary = Object.fromEntries(Object.entries(groups).map(([advice, forks]) => [
+      advice,
+      forks.map(f => ({ name: f.name, parent: f.parent ? f.parent.name : null, upstream: f.upstream || null }))
+    ]));
+    console.log(JSON.stringify(summary, null, 2));
+  } else {
+    console.log(formatMarkdown(groups));
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
@@ -1,38 +1,212 @@
 const fs = require('fs');
 const path = require('path');
+const { readForksFile } = require('./lib/forks-store');
+const { SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT, renderShareCard } = require('./lib/share-card');
+const { loadSiteConfig } = require('./lib/site-config');
+const { isHidden } = require('./lib/curation');
+const { sectionsFromMarkdown } = require('./lib/structured-article');
 
 // Directory for blog posts
 const BLOG_DIR = 'blog';
+const siteConfig = loadSiteConfig();
+const SITE_URL = siteConfig.site.url;
+const AUTHOR = siteConfig.author.name;
+const DEFAULT_LOCALE = siteConfig.locales ? siteConfig.locales.default : 'en';
+const LOCALES = siteConfig.locales ? siteConfig.locales.translations : [];
+const DEFAULT_LOCALE_NAME = new Intl.DisplayNames([DEFAULT_LOCALE], { type: 'language' }).of(DEFAULT_LOCALE);
+
+// Page chrome for translated posts; locales missing here fall back to English
+const UI_STRINGS = {
+    en: {
+        back: 'Back to Portfolio',
+        readTime: '{n} min read',
+        forkedFrom: 'Forked from',
+        related: 'Related projects',
+        viewOnGitHub: 'View on GitHub',
+        allProjects: 'All Projects',
+        builtWith: 'Built with automation and coffee.',
+        translated: 'Machine-translated from the <a href="{href}">English original</a>.',
+        tldr: 'TL;DR',
+        audience: 'For {audience}',
+        beginner: 'Beginner',
+        intermediate: 'Intermediate',
+        advanced: 'Advanced'
+    },
+    sw: {
+        back: 'Rudi kwenye Portfolio',
+        readTime: 'Dakika {n} za kusoma',
+        forkedFrom: 'Imetokana na',
+        related: 'Miradi inayohusiana',
+        viewOnGitHub: 'Tazama kwenye GitHub',
+        allProjects: 'Miradi Yote',
+        builtWith: 'Imejengwa kwa otomatiki na kahawa.',
+        translated: 'Imetafsiriwa kwa mashine kutoka <a href="{href}">makala asili ya Kiingereza</a>.',
+        beginner: 'Wanaoanza',
+        intermediate: 'Kiwango cha kati',
+        advanced: 'Kiwango cha juu'
+    },
+    fr: {
+        back: 'Retour au portfolio',
+        readTime: '{n} min de lecture',
+        forkedFrom: 'Forké depuis',
+        related: 'Projets similaires',
+        viewOnGitHub: 'Voir sur GitHub',
+        allProjects: 'Tous les projets',
+        builtWith: 'Construit avec de l\'automatisation et du café.',
+        translated: 'Traduit automatiquement depuis <a href="{href}">l\'original en anglais</a>.',
+        beginner: 'Débutant',
+        intermediate: 'Intermédiaire',
+        advanced: 'Avancé'
+    }
+};
+
+function uiString(code, key, values = {}) {
+    const strings = UI_STRINGS[code] || UI_STRINGS.en;
+    return (strings[key] || UI_STRINGS.en[key]).replace(/\{(\w+)\}/g, (_, name) => values[name]);
+}
+
+// Blog page path for a locale; the default locale lives directly in blog/
+function postPath(name, code = DEFAULT_LOCALE) {
+    return code === DEFAULT_LOCALE ? `blog/${name}.html` : `blog/${code}/${name}.html`;
+}
+
+// The post with a locale's translation swapped in, or null when there is no
+// translation that passed its checks. The TL;DR and audience aren't
+// translated, so translated pages leave them out.
+function localizePost(post, code) {
+    const translation = post.translations && post.translations[code];
+    if (!translation || !translation.quality.passed) return null;
+    return {
+        ...post,
+        displayName: translation.title,
+        title: translation.title,
+        description: translation.description,
+        summary: translation.summary,
+        sections: sectionsFromMarkdown(translation.summary),
+        tldr: undefined,
+        audience: undefined,
+        readTime: translation.readTime
+    };
+}
+
+// "What This Does" -> "what-this-does", for section anchors
+function slugify(text) {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+// The article as one <section> per heading, from the entry's sections (or
+// the "## " blocks of an article that only exists as markdown)
+function generateArticleHTML(post) {
+    const paragraphs = text => text.split('\n\n').map(p => `<p>${p}</p>`).join('');
+    const sections = post.sections || sectionsFromMarkdown(post.summary);
+    if (sections.length === 0) return paragraphs(post.summary || '');
+    return sections.map(s => `<section id="${slugify(s.heading)}">
+                    <h2>${s.heading}</h2>
+                    ${paragraphs(s.body)}
+                </section>`).join('\n                ');
+}
+
+// forks.json dates are ISO 8601; show them the way readers expect
+function formatDate(isoDate) {
+    if (!isoDate) return '';
+    return new Date(isoDate).toLocaleDateString('en-US', {
+        year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+    });
+}
+
+// Covers are stored relative to the site root (covers/<name>.svg), pages in
+// blog/ need "../". Older entries may still hold a full URL, which passes through.
+function imageUrl(image, root = '../') {
+    if (!image || /^https?:\/\//.test(image)) return image;
+    return `${root}${image}`;
+}
+
+// Writes only when the bytes differ, so unchanged cards keep their mtime
+function writeIfChanged(filepath, buffer) {
+    if (fs.existsSync(filepath) && fs.readFileSync(filepath).equals(buffer)) return false;
+    fs.writeFileSync(filepath, buffer);
+    return true;
+}
 
-// Blog post HTML template
-function generateBlogPostHTML(post) {
-    const formattedDate = post.updatedAt || post.forkedAt || 'Unknown date';
+// "Related projects" cards; entries whose page no longer exists are skipped.
+// On a translated page they link to the same locale where it exists.
+function generateRelatedHTML(post, postsByName, code = DEFAULT_LOCALE) {
+    const related = (post.related || []).filter(r => postsByName.has(r.name));
+    if (related.length === 0) return '';
+
+    return `
+            <section class="related-projects">
+                <h2>${uiString(code, 'related')}</h2>
+                <div class="related-grid">
+                    ${related.map(r => {
+                        const localized = code === DEFAULT_LOCALE ? null : localizePost(postsByName.get(r.name), code);
+                        const other = localized || postsByName.get(r.name);
+                        const href = code === DEFAULT_LOCALE || localized ? `${other.name}.html` : `../${other.name}.html`;
+                        return `<a href="${href}" class="related-card">
+                        <span class="related-name">${other.displayName}</span>
+                        <span class="related-description">${(other.description || '').slice(0, 120)}</span>
+                        ${r.reasons.length > 0 ? `<span class="related-reason">${r.reasons[0]}</span>` : ''}
+                    </a>`;
+                    }).join('\n                    ')}
+                </div>
+            </section>
+            `;
+}
+
+// Links to every language a post is published in, with the current one marked
+function generateLanguageSwitcher(alternates, code) {
+    if (alternates.length < 2) return '';
+    return `<nav class="lang-switcher" aria-label="Language">
+                    ${alternates.map(a => a.code === code
+                        ? `<span aria-current="page">${a.name}</span>`
+                        : `<a href="${a.href}" hreflang="${a.code}" lang="${a.code}">${a.name}</a>`).join('\n                    ')}
+                </nav>`;
+}
+
+// Blog post HTML template. `code` is the page's locale; `alternates` lists
+// every locale the post is published in as { code, name, url, href }, where
+// href is relative to this page
+function generateBlogPostHTML(post, postsByName = new Map(), { code = DEFAULT_LOCALE, alternates = [] } = {}) {
+    const translated = code !== DEFAULT_LOCALE;
+    const root = translated ? '../../' : '../';
+    const headline = post.title || post.displayName;
+    const tags = [...new Set([...(post.topics || []), ...(post.tags || [])])];
+    const pageUrl = `${SITE_URL}/${postPath(post.name, code)}`;
+    const formattedDate = formatDate(post.updatedAt || post.forkedAt) || 'Unknown date';
     const parentInfo = post.parent
-        ? `<p class="post-parent">Forked from <a href="${post.parent.url}" target="_blank" rel="noopener">${post.parent.name}</a></p>`
+        ? `<p class="post-parent">${uiString(code, 'forkedFrom')} <a href="${post.parent.url}" target="_blank" rel="noopener">${post.parent.name}</a></p>`
         : '';
+    const hreflang = alternates.length < 2 ? '' : [
+        ...alternates.map(a => `<link rel="alternate" hreflang="${a.code}" href="${a.url}">`),
+        `<link rel="alternate" hreflang="x-default" href="${SITE_URL}/${postPath(post.name)}">`
+    ].join('\n    ');
 
     return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${code}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${post.displayName} - Moses Yebei</title>
+    <title>${headline} - ${AUTHOR}</title>
     <meta name="description" content="${(post.description || '').replace(/"/g, '&quot;').slice(0, 160)}">
 
     <!-- Open Graph -->
-    <meta property="og:title" content="${post.displayName} - Moses Yebei">
+    <meta property="og:title" content="${headline} - ${AUTHOR}">
     <meta property="og:description" content="${(post.description || '').replace(/"/g, '&quot;').slice(0, 160)}">
-    <meta property="og:image" content="${post.image}">
+    <meta property="og:image" content="${SITE_URL}/blog/${post.name}.png">
+    <meta property="og:image:width" content="${SHARE_CARD_WIDTH}">
+    <meta property="og:image:height" content="${SHARE_CARD_HEIGHT}">
+    <meta property="og:image:alt" content="${post.displayName} - share card">
     <meta property="og:type" content="article">
-    <meta property="og:url" content="https://yebeai.github.io/blog/${post.name}.html">
+    <meta property="og:url" content="${pageUrl}">
 
     <!-- Twitter Card -->
     <meta name="twitter:card" content="summary_large_image">
-    <meta name="twitter:title" content="${post.displayName}">
+    <meta name="twitter:title" content="${headline}">
     <meta name="twitter:description" content="${(post.description || '').replace(/"/g, '&quot;').slice(0, 160)}">
-    <meta name="twitter:image" content="${post.image}">
+    <meta name="twitter:image" content="${SITE_URL}/blog/${post.name}.png">
 
-    <link rel="canonical" href="https://yebeai.github.io/blog/${post.name}.html">
+    <link rel="canonical" href="${pageUrl}">
+    ${hreflang}
 
     <style>
         :root {
@@ -124,6 +298,34 @@ function generateBlogPostHTML(post) {
         [data-theme="light"] .theme-toggle .sun { display: block; }
         [data-theme="light"] .theme-toggle .moon { display: none; }
 
+        .lang-switcher {
+            display: flex;
+            gap: 12px;
+            margin-left: auto;
+            margin-right: 16px;
+            font-size: 0.875rem;
+        }
+
+        .lang-switcher a {
+            color: var(--text-secondary);
+            text-decoration: none;
+        }
+
+        .lang-switcher a:hover { color: var(--accent); }
+
+        .lang-switcher span {
+            color: var(--text-primary);
+            font-weight: 600;
+        }
+
+        .translation-note {
+            font-size: 0.875rem;
+            color: var(--text-tertiary);
+            margin-bottom: 24px;
+        }
+
+        .translation-note a { color: var(--accent); }
+
         /* Article */
         article {
             padding: 60px 0;
@@ -167,6 +369,27 @@ function generateBlogPostHTML(post) {
             text-transform: capitalize;
         }
 
+        .post-upstream {
+            background: rgba(148, 163, 184, 0.12);
+            color: var(--text-secondary);
+            padding: 2px 10px;
+            border-radius: 12px;
+            font-size: 0.75rem;
+            font-weight: 500;
+        }
+
+        .post-difficulty {
+            background: rgba(234, 179, 8, 0.12);
+            color: #ca8a04;
+            padding: 2px 10px;
+            border-radius: 12px;
+            font-size: 0.75rem;
+            font-weight: 500;
+        }
+
+        .post-upstream.ahead { background: rgba(34, 197, 94, 0.12); color: #22c55e; }
+        .post-upstream.stale { background: rgba(239, 68, 68, 0.12); color: #ef4444; }
+
         h1 {
             font-size: 2.5rem;
             font-weight: 700;
@@ -214,6 +437,29 @@ function generateBlogPostHTML(post) {
             margin-bottom: 24px;
         }
 
+        .post-content h2 {
+            font-size: 1.5rem;
+            margin: 40px 0 16px;
+        }
+
+        .post-content section:first-child h2 {
+            margin-top: 0;
+        }
+
+        .post-tldr {
+            margin-top: 16px;
+            padding: 12px 16px;
+            border-left: 3px solid var(--accent);
+            background: rgba(99, 102, 241, 0.06);
+            border-radius: 0 8px 8px 0;
+        }
+
+        .post-audience {
+            margin-top: 8px;
+            font-size: 0.875rem;
+            color: var(--text-tertiary);
+        }
+
         .post-topics {
             display: flex;
             flex-wrap: wrap;
@@ -231,6 +477,55 @@ function generateBlogPostHTML(post) {
             font-size: 0.875rem;
         }
 
+        /* Related projects */
+        .related-projects {
+            margin-top: 48px;
+            padding-top: 24px;
+            border-top: 1px solid var(--border);
+        }
+
+        .related-projects h2 {
+            font-size: 1.25rem;
+            margin-bottom: 16px;
+        }
+
+        .related-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+            gap: 12px;
+        }
+
+        .related-card {
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+            padding: 16px;
+            background: var(--bg-secondary);
+            border: 1px solid var(--border);
+            border-radius: 10px;
+            text-decoration: none;
+            color: var(--text-primary);
+            transition: border-color 0.2s;
+        }
+
+        .related-card:hover {
+            border-color: var(--accent);
+        }
+
+        .related-name {
+            font-weight: 600;
+        }
+
+        .related-description {
+            font-size: 0.875rem;
+            color: var(--text-secondary);
+        }
+
+        .related-reason {
+            font-size: 0.75rem;
+            color: var(--accent);
+        }
+
         /* Actions */
         .post-actions {
             display: flex;
@@ -296,12 +591,13 @@ function generateBlogPostHTML(post) {
     <header>
         <div class="container">
             <div class="header-content">
-                <a href="../index.html" class="back-link">
+                <a href="${root}index.html" class="back-link">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M19 12H5M12 19l-7-7 7-7"/>
                     </svg>
-                    Back to Portfolio
+                    ${uiString(code, 'back')}
                 </a>
+                ${generateLanguageSwitcher(alternates, code)}
                 <button class="theme-toggle" id="theme-toggle" aria-label="Toggle theme">
                     <svg class="sun" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <circle cx="12" cy="12" r="5"/><path d="M12 1v2M12 21v2M4.22 4.22l1.42 1.42M18.36 18.36l1.42 1.42M1 12h2M21 12h2M4.22 19.78l1.42-1.42M18.36 5.64l1.42-1.42"/>
@@ -319,39 +615,44 @@ function generateBlogPostHTML(post) {
             <div class="post-header">
                 <div class="post-meta">
                     <span>${formattedDate}</span>
-                    <span>${post.readTime || 3} min read</span>
+                    <span>${uiString(code, 'readTime', { n: post.readTime || 3 })}</span>
                     ${post.language ? `<span class="post-language">${post.language}</span>` : ''}
                     <span class="post-type">${post.type || 'fork'}</span>
+                    ${post.difficulty ? `<span class="post-difficulty">${uiString(code, post.difficulty)}</span>` : ''}
+                    ${post.upstream ? `<span class="post-upstream ${post.upstream.state}" title="Compared with ${post.parent ? post.parent.name : 'upstream'} on ${formatDate(post.upstream.checkedAt)}">${post.upstream.label}</span>` : ''}
                 </div>
-                <h1>${post.displayName}</h1>
+                <h1>${headline}</h1>
                 <p class="post-description">${post.description || ''}</p>
                 ${parentInfo}
+                ${post.tldr ? `<p class="post-tldr"><strong>${uiString(code, 'tldr')}</strong> ${post.tldr}</p>` : ''}
+                ${post.audience ? `<p class="post-audience">${uiString(code, 'audience', { audience: post.audience })}</p>` : ''}
             </div>
+            ${translated ? `<p class="translation-note">${uiString(code, 'translated', { href: `../${post.name}.html` })}</p>` : ''}
 
-            <img class="post-image" src="${post.image}" alt="${post.displayName}" loading="lazy">
+            <img class="post-image" src="${imageUrl(post.image, root)}" alt="${post.displayName}" loading="lazy">
 
             <div class="post-content">
-                ${(post.summary || '').split('\n\n').map(p => `<p>${p}</p>`).join('')}
+                ${generateArticleHTML(post)}
             </div>
 
-            ${post.topics && post.topics.length > 0 ? `
+            ${tags.length > 0 ? `
             <div class="post-topics">
-                ${post.topics.map(t => `<span class="topic-tag">${t}</span>`).join('')}
+                ${tags.map(t => `<span class="topic-tag">${t}</span>`).join('')}
             </div>
             ` : ''}
-
+            ${generateRelatedHTML(post, postsByName, code)}
             <div class="post-actions">
                 <a href="${post.url}" target="_blank" rel="noopener" class="primary-btn">
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M9 19c-5 1.5-5-2.5-7-3m14 6v-3.87a3.37 3.37 0 0 0-.94-2.61c3.14-.35 6.44-1.54 6.44-7A5.44 5.44 0 0 0 20 4.77 5.07 5.07 0 0 0 19.91 1S18.73.65 16 2.48a13.38 13.38 0 0 0-7 0C6.27.65 5.09 1 5.09 1A5.07 5.07 0 0 0 5 4.77a5.44 5.44 0 0 0-1.5 3.78c0 5.42 3.3 6.61 6.44 7A3.37 3.37 0 0 0 9 18.13V22"/>
                     </svg>
-                    View on GitHub
+                    ${uiString(code, 'viewOnGitHub')}
                 </a>
-                <a href="../index.html#projects" class="secondary-btn">
+                <a href="${root}index.html#projects" class="secondary-btn">
                     <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <rect x="3" y="3" width="7" height="7"/><rect x="14" y="3" width="7" height="7"/><rect x="14" y="14" width="7" height="7"/><rect x="3" y="14" width="7" height="7"/>
                     </svg>
-                    All Projects
+                    ${uiString(code, 'allProjects')}
                 </a>
             </div>
         </article>
@@ -359,8 +660,8 @@ function generateBlogPostHTML(post) {
 
     <footer>
         <div class="container">
-            <p>&copy; ${new Date().getFullYear()} Moses Yebei. Built with automation and coffee.</p>
-            <p style="margin-top: 8px;"><a href="../index.html">yebeai.github.io</a></p>
+            <p>&copy; ${new Date().getFullYear()} ${AUTHOR}. ${uiString(code, 'builtWith')}</p>
+            <p style="margin-top: 8px;"><a href="${root}index.html">${siteConfig.site.host}</a></p>
         </div>
     </footer>
 
@@ -393,9 +694,20 @@ async function main() {
         process.exit(1);
     }
 
-    // Read forks.json
-    const data = JSON.parse(fs.readFileSync('forks.json', 'utf8'));
-    const posts = data.forks || [];
+    // Read, migrate and validate forks.json
+    const { data } = readForksFile('forks.json');
+    const posts = data.forks.filter(post => !isHidden(post));
+
+    // Hidden entries lose the page and card they may have had
+    for (const post of data.forks.filter(isHidden)) {
+        for (const file of [`${post.name}.html`, `${post.name}.png`]) {
+            const filepath = path.join(BLOG_DIR, file);
+            if (fs.existsSync(filepath)) {
+                fs.unlinkSync(filepath);
+                console.log(`Removed (hidden): ${filepath}`);
+            }
+        }
+    }
 
     if (posts.length === 0) {
         console.log('No posts to generate.');
@@ -410,49 +722,111 @@ async function main() {
         console.log(`Created ${BLOG_DIR}/ directory`);
     }
 
-    // Generate individual blog pages
+    // Generate individual blog pages, plus blog/<locale>/ for each translation
+    // that passed its checks
+    const postsByName = new Map(posts.map(p => [p.name, p]));
+    const localized = new Map(LOCALES.map(l => [l.code, new Set()]));
     let generated = 0;
+    let cardsWritten = 0;
     for (const post of posts) {
-        const filename = `${post.name}.html`;
-        const filepath = path.join(BLOG_DIR, filename);
-        const html = generateBlogPostHTML(post);
+        const published = [
+            { code: DEFAULT_LOCALE, name: DEFAULT_LOCALE_NAME, post },
+            ...LOCALES.map(l => ({ code: l.code, name: l.name, post: localizePost(post, l.code) })).filter(l => l.post)
+        ];
+        // Links between the versions, relative to the page they appear on
+        const alternatesFrom = from => published.map(({ code, name }) => ({
+            code,
+            name,
+            url: `${SITE_URL}/${postPath(post.name, code)}`,
+            href: path.posix.relative(path.posix.dirname(postPath(post.name, from)), postPath(post.name, code))
+        }));
+
+        for (const version of published) {
+            const filepath = postPath(post.name, version.code);
+            fs.mkdirSync(path.dirname(filepath), { recursive: true });
+            fs.writeFileSync(filepath, generateBlogPostHTML(version.post, postsByName, { code: version.code, alternates: alternatesFrom(version.code) }));
+            console.log(`Generated: ${filepath}`);
+            if (version.code === DEFAULT_LOCALE) generated++;
+            else localized.get(version.code).add(`${post.name}.html`);
+        }
 
-        fs.writeFileSync(filepath, html);
-        console.log(`Generated: ${filepath}`);
-        generated++;
+        // Share card for og:image / twitter:image, next to the page
+        if (writeIfChanged(path.join(BLOG_DIR, `${post.name}.png`), renderShareCard(post, { siteLabel: `${siteConfig.site.host} / blog`.toUpperCase() }))) {
+            cardsWritten++;
+        }
+    }
+
+    // Translated pages whose translation or post is gone
+    for (const [code, written] of localized) {
+        const dir = path.join(BLOG_DIR, code);
+        if (!fs.existsSync(dir)) continue;
+        for (const file of fs.readdirSync(dir)) {
+            if (file.endsWith('.html') && !written.has(file)) {
+                fs.unlinkSync(path.join(dir, file));
+                console.log(`Removed: ${path.join(dir, file)}`);
+            }
+        }
     }
 
     // Generate blog index page
-    const indexHtml = generateBlogIndexHTML(posts, data.lastUpdated);
+    const indexHtml = generateBlogIndexHTML(posts, data);
     fs.writeFileSync(path.join(BLOG_DIR, 'index.html'), indexHtml);
     console.log(`Generated: ${BLOG_DIR}/index.html`);
 
     console.log(`\n=== Complete ===`);
     console.log(`Generated ${generated} blog posts + index page`);
+    console.log(`Share cards: ${cardsWritten} written, ${generated - cardsWritten} unchanged`);
+    if (LOCALES.length > 0) {
+        console.log(`Translated pages: ${[...localized].map(([code, written]) => `${code} ${written.size}`).join(', ')}`);
+    }
 }
 
-function generateBlogIndexHTML(posts, lastUpdated) {
-    const postCards = posts.map(post => `
+function generatePostCard(post) {
+    return `
         <a href="${post.name}.html" class="post-card">
-            <img src="${post.image}" alt="${post.displayName}" loading="lazy">
+            <img src="${imageUrl(post.image)}" alt="${post.displayName}" loading="lazy">
             <div class="post-card-content">
                 <div class="post-card-meta">
-                    <span>${post.updatedAt || ''}</span>
+                    <span>${formatDate(post.updatedAt)}</span>
                     ${post.language ? `<span class="lang">${post.language}</span>` : ''}
+                    ${post.curation?.pinned ? '<span class="pin">Pinned</span>' : ''}
                 </div>
                 <h3>${post.displayName}</h3>
-                <p>${(post.description || '').slice(0, 120)}${(post.description || '').length > 120 ? '...' : ''}</p>
+                <p>${post.tldr || `${(post.description || '').slice(0, 120)}${(post.description || '').length > 120 ? '...' : ''}`}</p>
             </div>
         </a>
-    `).join('');
+    `;
+}
+
+// Featured posts and each collection get a section above the full list,
+// which keeps forks.json's curated order
+function generateBlogIndexHTML(posts, { lastUpdated, featured = [], collections = [] }) {
+    const postsByName = new Map(posts.map(p => [p.name, p]));
+    const section = (title, description, names) => {
+        const cards = names.map(name => postsByName.get(name)).filter(Boolean);
+        if (cards.length === 0) return '';
+        return `
+        <section class="posts-section">
+            <h2>${title}</h2>
+            ${description ? `<p>${description}</p>` : ''}
+            <div class="posts-grid">
+                ${cards.map(generatePostCard).join('')}
+            </div>
+        </section>`;
+    };
+    const sections = [
+        section('Featured', '', featured),
+        ...collections.map(c => section(c.title, c.description, c.repos))
+    ].join('');
+    const postCards = posts.map(generatePostCard).join('');
 
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Blog - Moses Yebei</title>
-    <meta name="description" content="Technical articles and project deep-dives by Moses Yebei">
+    <title>Blog - ${AUTHOR}</title>
+    <meta name="description" content="${siteConfig.feed.description}">
 
     <style>
         :root {
@@ -552,6 +926,20 @@ function generateBlogIndexHTML(posts, lastUpdated) {
             font-size: 1.125rem;
         }
 
+        .posts-section h2 {
+            font-size: 1.5rem;
+            margin-bottom: 8px;
+        }
+
+        .posts-section > p {
+            color: var(--text-secondary);
+            margin-bottom: 8px;
+        }
+
+        .posts-section h2 + .posts-grid {
+            margin-top: 16px;
+        }
+
         .posts-grid {
             display: grid;
             grid-template-columns: repeat(auto-fill, minmax(350px, 1fr));
@@ -599,6 +987,13 @@ function generateBlogIndexHTML(posts, lastUpdated) {
             border-radius: 10px;
         }
 
+        .post-card-meta .pin {
+            border: 1px solid var(--accent);
+            color: var(--accent);
+            padding: 1px 8px;
+            border-radius: 10px;
+        }
+
         .post-card h3 {
             font-size: 1.125rem;
             margin-bottom: 8px;
@@ -654,15 +1049,20 @@ function generateBlogIndexHTML(posts, lastUpdated) {
             <p style="font-size: 0.875rem; margin-top: 8px; color: var(--text-tertiary);">Last updated: ${lastUpdated ? new Date(lastUpdated).toLocaleDateString() : 'Unknown'}</p>
         </div>
 
-        <div class="posts-grid">
-            ${postCards}
-        </div>
+        ${sections}
+
+        <section class="posts-section">
+            ${sections ? '<h2>All Posts</h2>' : ''}
+            <div class="posts-grid">
+                ${postCards}
+            </div>
+        </section>
     </main>
 
     <footer>
         <div class="container">
-            <p>&copy; ${new Date().getFullYear()} Moses Yebei</p>
-            <p style="margin-top: 8px;"><a href="../index.html">yebeai.github.io</a></p>
+            <p>&copy; ${new Date().getFullYear()} ${AUTHOR}</p>
+            <p style="margin-top: 8px;"><a href="../index.html">${siteConfig.site.host}</a></p>
         </div>
     </footer>
 
@@ -1,8 +1,12 @@
 const fs = require('fs');
+const { readForksFile } = require('./lib/forks-store');
+const { loadSiteConfig } = require('./lib/site-config');
+const { visibleEntries } = require('./lib/curation');
 
-const SITE_URL = 'https://yebeai.github.io';
-const SITE_TITLE = 'Moses Yebei - Blog';
-const SITE_DESCRIPTION = 'Technical articles and project deep-dives by Moses Yebei';
+const siteConfig = loadSiteConfig();
+const SITE_URL = siteConfig.site.url;
+const SITE_TITLE = siteConfig.feed.title;
+const SITE_DESCRIPTION = siteConfig.feed.description;
 
 function escapeXml(text) {
     if (!text) return '';
@@ -14,21 +18,32 @@ function escapeXml(text) {
         .replace(/'/g, '&apos;');
 }
 
+// The TL;DR of a structured article, else the start of the markdown
+function feedSummary(post) {
+    if (post.tldr) return post.tldr;
+    return post.summary
+        ? post.summary.slice(0, 500) + (post.summary.length > 500 ? '...' : '')
+        : post.description || '';
+}
+
+// GitHub topics plus the article's suggested tags
+function feedCategories(post) {
+    return [...new Set([...(post.topics || []), ...(post.tags || [])])];
+}
+
 function generateRSSFeed(posts, lastUpdated) {
     const items = posts.map(post => {
         const pubDate = new Date(post.updatedAt || post.forkedAt || Date.now()).toUTCString();
-        const description = post.summary
-            ? post.summary.slice(0, 500) + (post.summary.length > 500 ? '...' : '')
-            : post.description || '';
+        const description = feedSummary(post);
 
         return `    <item>
-      <title>${escapeXml(post.displayName)}</title>
+      <title>${escapeXml(post.title || post.displayName)}</title>
       <link>${SITE_URL}/blog/${post.name}.html</link>
       <guid isPermaLink="true">${SITE_URL}/blog/${post.name}.html</guid>
       <pubDate>${pubDate}</pubDate>
       <description>${escapeXml(description)}</description>
       ${post.language ? `<category>${escapeXml(post.language)}</category>` : ''}
-      ${(post.topics || []).map(t => `<category>${escapeXml(t)}</category>`).join('\n      ')}
+      ${feedCategories(post).map(t => `<category>${escapeXml(t)}</category>`).join('\n      ')}
     </item>`;
     }).join('\n');
 
@@ -38,7 +53,7 @@ function generateRSSFeed(posts, lastUpdated) {
     <title>${escapeXml(SITE_TITLE)}</title>
     <link>${SITE_URL}</link>
     <description>${escapeXml(SITE_DESCRIPTION)}</description>
-    <language>en-us</language>
+    <language>${escapeXml(siteConfig.feed.language)}</language>
     <lastBuildDate>${new Date(lastUpdated || Date.now()).toUTCString()}</lastBuildDate>
     <atom:link href="${SITE_URL}/feed.xml" rel="self" type="application/rss+xml"/>
     <image>
@@ -54,20 +69,18 @@ ${items}
 function generateAtomFeed(posts, lastUpdated) {
     const entries = posts.map(post => {
         const updated = new Date(post.updatedAt || post.forkedAt || Date.now()).toISOString();
-        const summary = post.summary
-            ? post.summary.slice(0, 500) + (post.summary.length > 500 ? '...' : '')
-            : post.description || '';
+        const summary = feedSummary(post);
 
         return `  <entry>
-    <title>${escapeXml(post.displayName)}</title>
+    <title>${escapeXml(post.title || post.displayName)}</title>
     <link href="${SITE_URL}/blog/${post.name}.html"/>
     <id>${SITE_URL}/blog/${post.name}.html</id>
     <updated>${updated}</updated>
     <summary>${escapeXml(summary)}</summary>
     <author>
-      <name>Moses Yebei</name>
+      <name>${escapeXml(siteConfig.author.name)}</name>
     </author>
-    ${(post.topics || []).map(t => `<category term="${escapeXml(t)}"/>`).join('\n    ')}
+    ${feedCategories(post).map(t => `<category term="${escapeXml(t)}"/>`).join('\n    ')}
   </entry>`;
     }).join('\n');
 
@@ -79,7 +92,7 @@ function generateAtomFeed(posts, lastUpdated) {
   <id>${SITE_URL}/</id>
   <updated>${new Date(lastUpdated || Date.now()).toISOString()}</updated>
   <author>
-    <name>Moses Yebei</name>
+    <name>${escapeXml(siteConfig.author.name)}</name>
   </author>
   <subtitle>${escapeXml(SITE_DESCRIPTION)}</subtitle>
 ${entries}
@@ -94,8 +107,8 @@ async function main() {
         process.exit(1);
     }
 
-    const data = JSON.parse(fs.readFileSync('forks.json', 'utf8'));
-    const posts = data.forks || [];
+    const { data } = readForksFile('forks.json');
+    const posts = visibleEntries(data.forks);
 
     if (posts.length === 0) {
         console.log('No posts to include in feed.');
@@ -109,8 +122,8 @@ async function main() {
         return dateB - dateA;
     });
 
-    // Take only the 20 most recent for feed
-    const recentPosts = posts.slice(0, 20);
+    // Take only the most recent for feed
+    const recentPosts = posts.slice(0, siteConfig.feed.items);
 
     console.log(`Generating feeds for ${recentPosts.length} posts...\n`);
 
@@ -0,0 +1,166 @@
+// Article quality scoring. Replaces the old length check + banned phrase list
+// in isFallbackArticle with a 0-100 score and the reasons behind it, so a
+// rejected article says *why* it was rejected.
+//
+// The checks mirror the generation prompt: the four required sections, the
+// word budget, the NEVER USE list, plus readability and repetition. Articles
+// already stored are scored with `requireSections: false`: most were written
+// for an older prompt without headings, and heading style alone is no reason
+// to regenerate one, so missing sections cost them nothing.
+
+const QUALITY_VERSION = 1;
+
+const REQUIRED_SECTIONS = ['The Problem', 'What This Does', 'Real-World Use', 'The Bottom Line'];
+
+const WORD_BUDGET = 400;
+const MIN_WORDS = 150;
+
+// Phrases the prompt tells the model never to use, plus older AI tells
+const BANNED_PHRASES = [
+  'rapidly evolving', 'paramount', 'leverage', 'streamline', 'robust',
+  'in the realm of', 'it\'s worth noting', 'this project aims to',
+  'comprehensive', 'cutting-edge', 'game-changer', 'seamlessly', 'foster',
+  'in the world of', 'in today\'s landscape'
+];
+
+// Text produced by generateFallbackSummary; any of these is an automatic fail
+const FALLBACK_PHRASES = [
+  'demonstrates thoughtful software design',
+  'caught my attention for its practical approach',
+  'worth investigating if you\'re working with',
+  'patterns and implementations that could accelerate'
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Prose only: code blocks and inline code don't count towards words,
+// readability or banned phrases
+function proseOf(article) {
+  return article
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`[^`]*`/g, ' code ')
+    .replace(/^#+ .*$/gm, ' ');
+}
+
+function countSyllables(word) {
+  const w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (w.length <= 3) return 1;
+  const groups = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+// Flesch reading ease: ~60-70 is plain English, technical prose sits lower
+function readingEase(words, sentences) {
+  if (words.length === 0 || sentences.length === 0) return 0;
+  const syllables = words.reduce((sum, w) => sum + countSyllables(w), 0);
+  return 206.835 - 1.015 * (words.length / sentences.length) - 84.6 * (syllables / words.length);
+}
+
+// Share of word trigrams that appear more than once
+function repeatedTrigramRatio(words) {
+  if (words.length < 30) return 0;
+  const counts = new Map();
+  for (let i = 0; i <= words.length - 3; i++) {
+    const key = words.slice(i, i + 3).join(' ').toLowerCase();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  let repeated = 0;
+  for (const count of counts.values()) {
+    if (count > 1) repeated += count;
+  }
+  return repeated / (words.length - 2);
+}
+
+function scoreArticle(article, { minScore = 60, requireSections = true } = {}) {
+  const text = article || '';
+  const lower = text.toLowerCase();
+  const reasons = [];
+  let score = 100;
+
+  const fallback = FALLBACK_PHRASES.filter(p => lower.includes(p));
+  if (fallback.length > 0 || text.trim().length === 0) {
+    return {
+      version: QUALITY_VERSION,
+      score: 0,
+      passed: false,
+      reasons: ['fallback text, not an AI article'],
+      metrics: { words: text.split(/\s+/).filter(Boolean).length }
+    };
+  }
+
+  // Required sections
+  const missing = REQUIRED_SECTIONS.filter(section =>
+    !new RegExp(`^#{2,3}\\s*${escapeRegExp(section)}\\b`, 'im').test(text));
+  if (missing.length > 0 && requireSections) {
+    score -= 15 * missing.length;
+    reasons.push(`missing section${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+
+  // Word budget
+  const prose = proseOf(text);
+  const words = prose.split(/\s+/).filter(w => /[a-z0-9]/i.test(w));
+  if (words.length < MIN_WORDS) {
+    score -= 40;
+    reasons.push(`too short: ${words.length} words (min ${MIN_WORDS})`);
+  } else if (words.length > WORD_BUDGET * 1.5) {
+    score -= 20;
+    reasons.push(`far over budget: ${words.length} words (max ${WORD_BUDGET})`);
+  } else if (words.length > WORD_BUDGET * 1.2) {
+    score -= 8;
+    reasons.push(`over budget: ${words.length} words (max ${WORD_BUDGET})`);
+  }
+
+  // NEVER USE list
+  const proseLower = prose.toLowerCase();
+  const banned = BANNED_PHRASES.filter(p => new RegExp(`\\b${escapeRegExp(p)}`, 'i').test(proseLower));
+  if (banned.length > 0) {
+    score -= Math.min(40, 10 * banned.length);
+    reasons.push(`banned phrase${banned.length > 1 ? 's' : ''}: ${banned.map(p => `"${p}"`).join(', ')}`);
+  }
+
+  // Readability
+  const sentences = prose.split(/[.!?]+(?:\s|$)/).map(s => s.trim()).filter(s => /[a-z]/i.test(s));
+  const ease = readingEase(words, sentences);
+  if (ease < 15) {
+    score -= 20;
+    reasons.push(`hard to read (reading ease ${Math.round(ease)})`);
+  } else if (ease < 30) {
+    score -= 10;
+    reasons.push(`dense prose (reading ease ${Math.round(ease)})`);
+  }
+
+  // Repetition: the prompt forbids starting many sentences with This/The
+  const thisThe = sentences.filter(s => /^(this|the)\b/i.test(s)).length;
+  if (sentences.length >= 5 && thisThe / sentences.length > 0.35) {
+    score -= 10;
+    reasons.push(`${thisThe} of ${sentences.length} sentences start with "This"/"The"`);
+  }
+  const repetition = repeatedTrigramRatio(words);
+  if (repetition > 0.12) {
+    score -= 10;
+    reasons.push(`repetitive wording (${Math.round(repetition * 100)}% repeated trigrams)`);
+  }
+
+  score = Math.max(0, score);
+  return {
+    version: QUALITY_VERSION,
+    score,
+    passed: score >= minScore,
+    reasons,
+    metrics: {
+      words: words.length,
+      sections: REQUIRED_SECTIONS.length - missing.length,
+      readingEase: Math.round(ease),
+      repetition: Math.round(repetition * 100) / 100
+    }
+  };
+}
+
+module.exports = {
+  QUALITY_VERSION,
+  REQUIRED_SECTIONS,
+  BANNED_PHRASES,
+  scoreArticle
+};
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { REQUIRED_SECTIONS, scoreArticle } = require('./article-quality');
+
+// Short plain words in an order that doesn't repeat, so word count and
+// readability are steered by the number of sentences alone
+const WORDS = (
+  'you run it on a folder and get a list of every dead link with its file ' +
+  'line and page most teams fix these by hand once each month our docs site ' +
+  'had forty such pages one pass takes two seconds on my old laptop config ' +
+  'lives in one small file next to your code'
+).split(' ');
+
+function prose(sentences, offset = 0) {
+  let seed = offset + 1;
+  const next = () => {
+    seed = (seed * 48271) % 2147483647;
+    return WORDS[seed % WORDS.length];
+  };
+  return Array.from({ length: sentences }, () => {
+    const words = Array.from({ length: 9 }, next);
+    return `${words[0][0].toUpperCase()}${words[0].slice(1)} ${words.slice(1).join(' ')}.`;
+  }).join(' ');
+}
+
+function article({ sections = REQUIRED_SECTIONS, sentences = 5 } = {}) {
+  return sections.map((heading, i) => `## ${heading}\n\n${prose(sentences, i * sentences)}`).join('\n\n');
+}
+
+test('a well-formed article passes with a full score', () => {
+  const quality = scoreArticle(article());
+  assert.equal(quality.score, 100, quality.reasons.join('; '));
+  assert.equal(quality.passed, true);
+  assert.equal(quality.metrics.sections, 4);
+  assert.ok(quality.metrics.words >= 150 && quality.metrics.words <= 400);
+});
+
+test('each missing section costs 15 points', () => {
+  const quality = scoreArticle(article({ sections: REQUIRED_SECTIONS.slice(0, 2) }).concat(`\n\n${prose(10, 20)}`));
+  assert.equal(quality.score, 70);
+  assert.deepEqual(quality.reasons, ['missing sections: Real-World Use, The Bottom Line']);
+});
+
+test('requireSections: false leaves headings out of the score', () => {
+  const text = prose(20);
+  assert.equal(scoreArticle(text).score, 40);
+  assert.equal(scoreArticle(text).passed, false);
+  const stored = scoreArticle(text, { requireSections: false });
+  assert.equal(stored.score, 100);
+  assert.equal(stored.passed, true);
+  assert.equal(stored.metrics.sections, 0);
+});
+
+test('short and over-budget articles lose points', () => {
+  const short = scoreArticle(article({ sentences: 1 }));
+  assert.equal(short.score, 60);
+  assert.match(short.reasons[0], /^too short: \d+ words \(min 150\)$/);
+
+  const long = scoreArticle(article({ sentences: 16 }));
+  assert.equal(long.score, 92);
+  assert.match(long.reasons[0], /^over budget: \d+ words \(max 400\)$/);
+
+  const far = scoreArticle(article({ sentences: 18 }));
+  assert.equal(far.score, 80);
+  assert.match(far.reasons[0], /^far over budget/);
+});
+
+test('banned phrases cost 10 points each, at most 40', () => {
+  const one = scoreArticle(`${article()}\n\nIt is a robust tool.`);
+  assert.equal(one.score, 90);
+  assert.deepEqual(one.reasons, ['banned phrase: "robust"']);
+
+  const many = scoreArticle(`${article()}\n\nA robust, comprehensive, cutting-edge way to leverage and streamline docs.`);
+  assert.equal(many.score, 60);
+
+  // Code doesn't count
+  assert.equal(scoreArticle(`${article()}\n\nSet \`robust: true\` in the config.`).score, 100);
+});
+
+test('minScore decides pass or fail', () => {
+  const text = `${article()}\n\nIt is a robust tool.`;
+  assert.equal(scoreArticle(text, { minScore: 90 }).passed, true);
+  assert.equal(scoreArticle(text, { minScore: 91 }).passed, false);
+});
+
+test('fallback text and empty articles score 0', () => {
+  assert.deepEqual(scoreArticle('').reasons, ['fallback text, not an AI article']);
+  const fallback = scoreArticle(`${article()}\n\nThis repo demonstrates thoughtful software design.`);
+  assert.equal(fallback.score, 0);
+  assert.equal(fallback.passed, false);
+});
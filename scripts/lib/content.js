@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { sectionsFromMarkdown } = require('./structured-article');
+
+// Hand-written overrides in content/<repo>.md, merged over the generated
+// entries on every run:
+//
+//   ---
+//   title: LangChain, annotated
+//   description: My notes on the agent loop
+//   tldr: The agent loop, explained in one file
+//   image: images/langchain.png
+//   tags: [llm, agents]
+//   featured: true
+//   lock: true            # never regenerate this entry
+//   article: sections     # "replace" (default): the body is the whole article
+//   ---
+//   ## The Bottom Line    # with "sections", each ## block replaces that section
+//   ...
+//
+// The values an override replaced are kept in entry.content.original, so the
+// pipeline keeps working on (and can regenerate) the generated article, and
+// deleting the file brings the generated values back.
+//
+// tags replaces the generated tags only. topics are the repo's GitHub topics,
+// which drift checks and template selection read, so they stay as fetched;
+// blog pages and feeds still list both.
+
+const CONTENT_DIR = 'content';
+
+const KEYS = {
+  title: 'string',
+  description: 'string',
+  tldr: 'string',
+  image: 'string',
+  tags: 'list',
+  featured: 'boolean',
+  lock: 'boolean',
+  article: ['replace', 'sections']
+};
+
+class ContentError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = 'ContentError';
+  }
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (/^".*"$/.test(value)) return JSON.parse(value);
+  if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\[.*\]$/.test(value)) {
+    const inner = value.slice(1, -1).trim();
+    return inner ? inner.split(',').map(item => parseScalar(item)) : [];
+  }
+  return value;
+}
+
+// The YAML subset front matter needs: "key: value" lines, [a, b] lists,
+// "- item" lists, quoted strings, booleans and # comments
+function parseFrontMatter(text, file) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/.exec(text);
+  if (!match) return { data: {}, body: text.trim() };
+
+  const data = {};
+  let listKey = null;
+  match[1].split(/\r?\n/).forEach((line, i) => {
+    const content = /["']/.test(line) ? line : line.replace(/\s+#.*$/, '');
+    if (!content.trim() || content.trim().startsWith('#')) return;
+
+    const item = /^\s+-\s+(.*)$/.exec(content);
+    if (item && listKey) {
+      data[listKey].push(parseScalar(item[1]));
+      return;
+    }
+    const pair = /^([A-Za-z][\w-]*):(.*)$/.exec(content);
+    if (!pair) throw new ContentError(file, `front matter line ${i + 2} is not "key: value"`);
+    const [, key, raw] = pair;
+    if (raw.trim() === '') {
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = parseScalar(raw);
+      listKey = null;
+    }
+  });
+
+  return { data, body: match[2].trim() };
+}
+
+// "## Heading" blocks of an article, in order
+function splitSections(markdown) {
+  const sections = [];
+  for (const block of markdown.split(/^(?=## )/m)) {
+    const heading = /^## (.+)$/m.exec(block);
+    if (heading && block.startsWith('## ')) {
+      sections.push({ heading: heading[1].trim(), text: block.trim() });
+    }
+  }
+  return sections;
+}
+
+function checkValue(key, value, file) {
+  const expected = KEYS[key];
+  if (Array.isArray(expected)) {
+    if (!expected.includes(value)) throw new ContentError(file, `${key} must be one of ${expected.join(', ')}`);
+  } else if (expected === 'list') {
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || !v)) {
+      throw new ContentError(file, `${key} must be a list of strings`);
+    }
+  } else if (typeof value !== expected) {
+    throw new ContentError(file, `${key} must be a ${expected}`);
+  }
+}
+
+function parseOverride(text, file) {
+  const { data, body } = parseFrontMatter(text, file);
+  const warnings = [];
+  for (const [key, value] of Object.entries(data)) {
+    if (!(key in KEYS)) {
+      warnings.push(`unknown front matter key "${key}" ignored`);
+      continue;
+    }
+    checkValue(key, value, file);
+  }
+
+  const article = data.article || 'replace';
+  const sections = article === 'sections' ? splitSections(body) : [];
+  if (article === 'sections' && body && sections.length === 0) {
+    warnings.push('article: sections, but the body has no "## " headings; body ignored');
+  }
+
+  return {
+    file,
+    title: data.title,
+    description: data.description,
+    tldr: data.tldr,
+    image: data.image,
+    tags: data.tags,
+    featured: data.featured,
+    lock: Boolean(data.lock),
+    article,
+    body: article === 'replace' ? body : '',
+    sections,
+    warnings
+  };
+}
+
+// Every content/*.md, keyed by lower-cased repo name. Files that don't parse
+// are reported and skipped, never fatal.
+function loadContentOverrides(dir = CONTENT_DIR) {
+  const overrides = new Map();
+  const problems = [];
+  if (!fs.existsSync(dir)) return { overrides, problems };
+
+  for (const name of fs.readdirSync(dir).sort()) {
+    if (!name.endsWith('.md')) continue;
+    const file = path.join(dir, name);
+    const key = name.slice(0, -'.md'.length).toLowerCase();
+    if (overrides.has(key)) {
+      problems.push(`${file}: same repo as ${overrides.get(key).file}, skipped`);
+      continue;
+    }
+    try {
+      const override = parseOverride(fs.readFileSync(file, 'utf8'), file);
+      override.warnings.forEach(w => problems.push(`${file}: ${w}`));
+      overrides.set(key, override);
+    } catch (error) {
+      problems.push(error instanceof ContentError ? `${error.message}, skipped` : `${file}: ${error.message}, skipped`);
+    }
+  }
+  return { overrides, problems };
+}
+
+// The entry as the pipeline generated it, before any override
+function restoreGenerated(entry) {
+  if (!entry.content) return entry;
+  const { content, ...restored } = entry;
+  for (const [key, value] of Object.entries(content.original || {})) {
+    if (value === null) delete restored[key];
+    else restored[key] = value;
+  }
+  return restored;
+}
+
+function replaceSections(article, sections, conflicts) {
+  let result = article;
+  for (const section of sections) {
+    const existing = splitSections(result).find(s => s.heading.toLowerCase() === section.heading.toLowerCase());
+    if (existing) {
+      result = result.replace(existing.text, () => section.text);
+    } else {
+      conflicts.push(`section "${section.heading}" is not in the generated article, appended`);
+      result = `${result.trimEnd()}\n\n${section.text}`;
+    }
+  }
+  return result;
+}
+
+// Returns { entry, conflicts, warnings }; readTime(summary) recomputes the
+// read time when the article changes. A value equal to the generated one is
+// applied and recorded like any other, since a regenerated article may no
+// longer match it; the warning only says it changes nothing today.
+function applyOverride(entry, override, { readTime } = {}) {
+  const merged = { ...entry };
+  const original = {};
+  const conflicts = [];
+  const warnings = [];
+
+  const set = (key, value) => {
+    if (value === undefined) return;
+    if (JSON.stringify(entry[key]) === JSON.stringify(value)) {
+      warnings.push(`${key} is the same as the generated value`);
+    }
+    original[key] = entry[key] === undefined ? null : entry[key];
+    merged[key] = value;
+  };
+
+  set('displayName', override.title);
+  if (entry.title !== undefined) set('title', override.title);
+  set('description', override.description);
+  set('tldr', override.tldr);
+  set('image', override.image);
+  set('tags', override.tags);
+  set('featured', override.featured);
+
+  if (override.body) {
+    set('summary', override.body);
+  } else if (override.sections.length > 0) {
+    set('summary', replaceSections(entry.summary, override.sections, conflicts));
+  }
+  // The structured sections follow the article they were split from
+  if ('summary' in original && entry.sections !== undefined) {
+    original.sections = entry.sections;
+    merged.sections = sectionsFromMarkdown(merged.summary);
+  }
+  if ('summary' in original && readTime && readTime(merged.summary) !== entry.readTime) {
+    original.readTime = entry.readTime;
+    merged.readTime = readTime(merged.summary);
+  }
+
+  merged.content = {
+    file: override.file.split(path.sep).join('/'),
+    fields: Object.keys(original),
+    locked: override.lock,
+    original
+  };
+  return { entry: merged, conflicts, warnings };
+}
+
+module.exports = {
+  CONTENT_DIR,
+  parseFrontMatter,
+  loadContentOverrides,
+  restoreGenerated,
+  applyOverride
+};
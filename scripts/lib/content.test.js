@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFrontMatter, loadContentOverrides, restoreGenerated, applyOverride } = require('./content');
+
+const ARTICLE = `## The Problem
+
+Generated problem.
+
+## The Bottom Line
+
+Generated bottom line.`;
+
+function generated(fields = {}) {
+  return {
+    id: 1,
+    name: 'tree',
+    displayName: 'tree',
+    description: 'Generated description',
+    tldr: 'Generated tldr',
+    summary: ARTICLE,
+    sections: [
+      { heading: 'The Problem', body: 'Generated problem.' },
+      { heading: 'The Bottom Line', body: 'Generated bottom line.' }
+    ],
+    tags: ['generated'],
+    topics: ['github-topic'],
+    readTime: 1,
+    ...fields
+  };
+}
+
+// A content/ directory holding `files` (name to text) in a temp dir
+function withContent(files, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-'));
+  try {
+    for (const [name, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), text);
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function loadOne(text) {
+  return withContent({ 'tree.md': text }, dir => {
+    const { overrides, problems } = loadContentOverrides(dir);
+    assert.deepEqual(problems, []);
+    return overrides.get('tree');
+  });
+}
+
+test('parseFrontMatter reads the YAML subset overrides use', () => {
+  const { data, body } = parseFrontMatter(`---
+title: "Tree: annotated"
+description: 'It''s a tree'
+tags:
+  - llm
+  - agents
+featured: true
+image: images/tree.png # trailing comment
+---
+
+Body text.
+`, 'tree.md');
+  assert.deepEqual(data, {
+    title: 'Tree: annotated',
+    description: "It's a tree",
+    tags: ['llm', 'agents'],
+    featured: true,
+    image: 'images/tree.png'
+  });
+  assert.equal(body, 'Body text.');
+  assert.deepEqual(parseFrontMatter('No front matter', 'tree.md'), { data: {}, body: 'No front matter' });
+});
+
+test('loadContentOverrides reports bad files and skips them', () => {
+  withContent({
+    'Tree.md': '---\ntags: [a, b]\ncolour: green\n---\n',
+    'tree.md': '---\ntitle: Duplicate\n---\n',
+    'broken.md': '---\nfeatured: maybe\n---\n',
+    'notes.txt': 'not an override'
+  }, dir => {
+    const { overrides, problems } = loadContentOverrides(dir);
+    assert.deepEqual([...overrides.keys()], ['tree']);
+    assert.deepEqual(problems, [
+      `${path.join(dir, 'Tree.md')}: unknown front matter key "colour" ignored`,
+      `${path.join(dir, 'broken.md')}: featured must be a boolean, skipped`,
+      `${path.join(dir, 'tree.md')}: same repo as ${path.join(dir, 'Tree.md')}, skipped`
+    ]);
+  });
+});
+
+test('applyOverride and restoreGenerated round-trip a whole-article override', () => {
+  const entry = generated();
+  const override = loadOne(`---
+title: Tree, annotated
+tldr: Hand-written tldr
+image: images/tree.png
+tags: [llm, agents]
+lock: true
+---
+## The Problem
+
+Hand-written problem.
+`);
+  const { entry: merged, conflicts } = applyOverride(entry, override, { readTime: () => 2 });
+
+  assert.deepEqual(conflicts, []);
+  assert.equal(merged.displayName, 'Tree, annotated');
+  assert.equal(merged.title, undefined);
+  assert.equal(merged.tldr, 'Hand-written tldr');
+  assert.equal(merged.image, 'images/tree.png');
+  assert.deepEqual(merged.tags, ['llm', 'agents']);
+  assert.deepEqual(merged.topics, ['github-topic']);
+  assert.equal(merged.summary, '## The Problem\n\nHand-written problem.');
+  assert.deepEqual(merged.sections, [{ heading: 'The Problem', body: 'Hand-written problem.' }]);
+  assert.equal(merged.readTime, 2);
+  assert.equal(merged.content.locked, true);
+  assert.deepEqual(merged.content.fields, ['displayName', 'tldr', 'image', 'tags', 'summary', 'sections', 'readTime']);
+
+  // The stored entry goes back to exactly what the pipeline generated,
+  // including the image it never had
+  assert.deepEqual(restoreGenerated(JSON.parse(JSON.stringify(merged))), entry);
+  assert.equal(restoreGenerated(entry), entry);
+});
+
+test('article: sections replaces matching sections and appends the rest', () => {
+  const entry = generated();
+  const override = loadOne(`---
+article: sections
+---
+## the bottom line
+
+Hand-written bottom line.
+
+## Further Reading
+
+Links.
+`);
+  const { entry: merged, conflicts } = applyOverride(entry, override);
+
+  assert.deepEqual(conflicts, ['section "Further Reading" is not in the generated article, appended']);
+  assert.deepEqual(merged.sections.map(s => s.heading), ['The Problem', 'the bottom line', 'Further Reading']);
+  assert.match(merged.summary, /^## The Problem\n\nGenerated problem\.\n\n## the bottom line\n\nHand-written bottom line\.\n\n## Further Reading/);
+  // Without a readTime function the read time is left alone
+  assert.equal(merged.readTime, 1);
+  assert.deepEqual(restoreGenerated(merged), entry);
+});
+
+test('a value equal to the generated one is applied and recorded, with a warning', () => {
+  const entry = generated();
+  const override = loadOne(`---
+description: Generated description
+tags: [generated]
+featured: true
+lock: true
+---
+${ARTICLE}
+`);
+  const { entry: merged, conflicts, warnings } = applyOverride(entry, override, { readTime: () => 1 });
+
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(warnings, [
+    'description is the same as the generated value',
+    'tags is the same as the generated value',
+    'summary is the same as the generated value'
+  ]);
+  assert.deepEqual(merged.content.fields, ['description', 'tags', 'featured', 'summary', 'sections']);
+  assert.deepEqual(merged.content.original.tags, ['generated']);
+  assert.equal(merged.content.locked, true);
+  assert.deepEqual(restoreGenerated(merged), entry);
+});
@@ -0,0 +1,165 @@
+// Fits the repo context of the article prompt (analysis, README, file tree)
+// into a token budget. Sections that need less than their share hand the rest
+// to the others; a section that doesn't fit is shrunk its own way:
+//   analysis   cut from the end (the stack and layout come first)
+//   README     intro plus the outline of headings, then whole sections
+//   file tree  key files (entry points, manifests, config) listed first, then
+//              deep directories collapsed into "dir/ (120 files: .py 80, ...)"
+// Token counts are estimates (about four characters per token), which is
+// close enough for budgeting without shipping a tokenizer.
+
+const WEIGHTS = { analysis: 0.25, readme: 0.35, fileTree: 0.4 };
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Give each section what it needs if that fits its weighted share, and
+// split what is left between the rest
+function allocate(needs, budget) {
+  const allocation = {};
+  let remaining = budget;
+  let open = Object.keys(needs);
+  while (open.length > 0) {
+    const weight = open.reduce((sum, key) => sum + WEIGHTS[key], 0);
+    const fits = open.filter(key => needs[key] <= remaining * WEIGHTS[key] / weight);
+    if (fits.length === 0) {
+      open.forEach(key => { allocation[key] = Math.floor(remaining * WEIGHTS[key] / weight); });
+      break;
+    }
+    fits.forEach(key => {
+      allocation[key] = needs[key];
+      remaining -= needs[key];
+    });
+    open = open.filter(key => !fits.includes(key));
+  }
+  return allocation;
+}
+
+// Whole lines from the top until the budget runs out
+function takeLines(lines, budget, separator = '\n') {
+  const kept = [];
+  let used = 0;
+  for (const line of lines) {
+    const cost = estimateTokens(line + separator);
+    if (used + cost > budget) break;
+    kept.push(line);
+    used += cost;
+  }
+  return kept;
+}
+
+function packAnalysis(analysis, budget) {
+  if (estimateTokens(analysis) <= budget) return analysis;
+  return takeLines(analysis.split('\n'), budget).join('\n').trim();
+}
+
+const SHORTENED = '\n\n[README shortened to fit the prompt]';
+
+// The intro and every heading first, so the model sees the README's shape;
+// then whole sections in order while they fit
+function packReadme(readme, fullBudget) {
+  if (estimateTokens(readme) <= fullBudget) return readme;
+  const budget = fullBudget - estimateTokens(SHORTENED);
+
+  const parts = readme.split(/^(?=#{1,6} )/m);
+  const intro = /^#{1,6} /.test(parts[0]) ? '' : parts.shift().trim();
+  const headings = parts.map(part => part.split('\n')[0].trim());
+  const outline = headings.length > 0 ? `OUTLINE:\n${takeLines(headings, Math.floor(budget / 4)).join('\n')}` : '';
+
+  let text = [takeLines(intro.split('\n'), Math.floor(budget / 3)).join('\n'), outline].filter(Boolean).join('\n\n');
+  for (const part of parts) {
+    const candidate = `${text}\n\n${part.trim()}`;
+    if (estimateTokens(candidate) > budget) break;
+    text = candidate;
+  }
+  return text + SHORTENED;
+}
+
+function extensionOf(file) {
+  const name = file.split('/').pop();
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot).toLowerCase() : name;
+}
+
+// "src/api/ (120 files: .py 80, .json 30, .md 10)"
+function summarizeDirectory(dir, files) {
+  const counts = new Map();
+  files.forEach(f => counts.set(extensionOf(f), (counts.get(extensionOf(f)) || 0) + 1));
+  const top = [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 4).map(([ext, n]) => `${ext} ${n}`);
+  return `${dir}/ (${files.length} files: ${top.join(', ')})`;
+}
+
+// Paths grouped by their first `depth` directories; small groups keep their
+// files, larger ones become one summary line
+function collapseTree(files, depth) {
+  const groups = new Map();
+  for (const file of files) {
+    const parts = file.split('/');
+    const key = parts.length > depth ? parts.slice(0, depth).join('/') : null;
+    if (key === null) {
+      groups.set(file, [file]);
+    } else {
+      if (!groups.has(`${key}/`)) groups.set(`${key}/`, []);
+      groups.get(`${key}/`).push(file);
+    }
+  }
+  const lines = [];
+  for (const [key, group] of groups) {
+    if (!key.endsWith('/') || group.length <= 3) lines.push(...group);
+    else lines.push(summarizeDirectory(key.slice(0, -1), group));
+  }
+  return lines;
+}
+
+function packFileTree(fileTree, keyFiles, budget) {
+  const full = fileTree.join('\n');
+  if (estimateTokens(full) <= budget) return full;
+
+  const keys = [...new Set(keyFiles)].filter(f => fileTree.includes(f));
+  const keyBlock = takeLines(keys, Math.floor(budget / 3));
+  const header = keyBlock.length > 0 ? `KEY FILES:\n${keyBlock.join('\n')}\n\nLAYOUT (${fileTree.length} files):\n` : `LAYOUT (${fileTree.length} files):\n`;
+  const left = budget - estimateTokens(header);
+
+  // The deepest layout that fits, down to one line per top-level directory
+  for (let depth = 4; depth >= 1; depth--) {
+    const lines = collapseTree(fileTree, depth);
+    if (estimateTokens(lines.join('\n')) <= left) return header + lines.join('\n');
+  }
+  return header + takeLines(collapseTree(fileTree, 1), left).join('\n');
+}
+
+// Returns the packed sections plus what each one needed and got, in tokens
+function packContext({ analysis = '', readme = '', fileTree = [], keyFiles = [] }, budget) {
+  const needs = {
+    analysis: estimateTokens(analysis),
+    readme: estimateTokens(readme),
+    fileTree: estimateTokens(fileTree.join('\n'))
+  };
+  const allocation = allocate(needs, budget);
+  const packed = {
+    analysis: packAnalysis(analysis, allocation.analysis),
+    fileTree: fileTree.length > 0 ? packFileTree(fileTree, keyFiles, allocation.fileTree) : ''
+  };
+  // A collapsed tree often comes in under its share; the README gets the rest
+  const left = budget - estimateTokens(packed.analysis) - estimateTokens(packed.fileTree);
+  packed.readme = readme ? packReadme(readme, Math.max(allocation.readme, left)) : '';
+  const tokens = {
+    analysis: estimateTokens(packed.analysis),
+    readme: estimateTokens(packed.readme),
+    fileTree: estimateTokens(packed.fileTree)
+  };
+  return {
+    ...packed,
+    budget,
+    needed: needs,
+    tokens,
+    total: tokens.analysis + tokens.readme + tokens.fileTree
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  collapseTree,
+  packContext
+};
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTokens, collapseTree, packContext } = require('./context-packer');
+
+// A README of `sections` sections, each `lines` lines long
+function readme(sections, lines = 20) {
+  const parts = ['Intro line one.\nIntro line two.'];
+  for (let s = 1; s <= sections; s++) {
+    parts.push(`## Section ${s}\n\n${Array.from({ length: lines }, (_, l) => `Section ${s} line ${l} with some words.`).join('\n')}`);
+  }
+  return parts.join('\n\n');
+}
+
+function bigTree() {
+  const files = ['package.json', 'src/index.js', 'README.md'];
+  for (let i = 0; i < 200; i++) files.push(`src/components/widgets/deep/widget-${i}.js`);
+  for (let i = 0; i < 50; i++) files.push(`docs/pages/page-${i}.md`);
+  return files;
+}
+
+test('estimateTokens counts about four characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens(null), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('collapseTree keeps small directories and summarizes large ones', () => {
+  const files = ['README.md', 'lib/a.js', 'lib/b.js', 'src/a.py', 'src/b.py', 'src/c.py', 'src/d.json'];
+  assert.deepEqual(collapseTree(files, 1), [
+    'README.md',
+    'lib/a.js',
+    'lib/b.js',
+    'src/ (4 files: .py 3, .json 1)'
+  ]);
+});
+
+test('packContext leaves context that fits the budget untouched', () => {
+  const context = { analysis: 'Stack: Node.js', readme: readme(2, 3), fileTree: ['package.json', 'index.js'] };
+  const packed = packContext(context, 10000);
+  assert.equal(packed.analysis, context.analysis);
+  assert.equal(packed.readme, context.readme);
+  assert.equal(packed.fileTree, 'package.json\nindex.js');
+  assert.deepEqual(packed.tokens, packed.needed);
+});
+
+test('packContext shrinks each section its own way to fit the budget', () => {
+  const analysis = Array.from({ length: 100 }, (_, i) => `Analysis line ${i}`).join('\n');
+  const packed = packContext({ analysis, readme: readme(30), fileTree: bigTree(), keyFiles: ['package.json', 'src/index.js', 'missing.js'] }, 1000);
+
+  assert.ok(packed.total <= packed.budget, `${packed.total} tokens`);
+  assert.ok(packed.analysis.startsWith('Analysis line 0\nAnalysis line 1'));
+  assert.match(packed.readme, /^Intro line one\.\nIntro line two\.\n\nOUTLINE:\n## Section 1\n## Section 2\n/);
+  assert.match(packed.readme, /\[README shortened to fit the prompt\]$/);
+  assert.match(packed.fileTree, /^KEY FILES:\npackage\.json\nsrc\/index\.js\n\nLAYOUT \(253 files\):\n/);
+  assert.match(packed.fileTree, /src\/components\/widgets\/deep\/ \(200 files: \.js 200\)/);
+});
+
+test('a small file tree hands its share to the README', () => {
+  const packed = packContext({ readme: readme(30), fileTree: ['index.js'] }, 1000);
+  assert.equal(packed.fileTree, 'index.js');
+  // Well past the README's own 35% share
+  assert.ok(packed.tokens.readme > 700, `${packed.tokens.readme} tokens`);
+  assert.ok(packed.total <= packed.budget);
+});
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const langColors = require('../../assets/js/lang-colors');
+
+// Cover art for project cards and blog posts, generated at build time as SVG.
+// Replaces the rotating Unsplash photos: every cover is derived only from the
+// repo (id seeds the pattern, language picks the colour, topics pick glyphs),
+// so it is unique per project, identical across runs and served from the
+// site itself.
+
+const COVERS_DIR = 'covers';
+const WIDTH = 800;
+const HEIGHT = 400;
+
+// mulberry32: tiny seeded PRNG, returns floats in [0, 1)
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Languages without a linguist colour get a hue from the seed
+function baseColor(language, random) {
+  if (language && langColors[language]) return langColors[language];
+  return `hsl(${Math.floor(random() * 360)}, 65%, 55%)`;
+}
+
+const round = n => Math.round(n * 10) / 10;
+
+// --- Patterns: one per repo, chosen and laid out by the seed ----------------
+
+const PATTERNS = [
+  function dots(random, color) {
+    const step = 36 + Math.floor(random() * 24);
+    let out = '';
+    for (let x = step / 2; x < WIDTH; x += step) {
+      for (let y = step / 2; y < HEIGHT; y += step) {
+        const r = round(1.5 + random() * step * 0.22);
+        out += `<circle cx="${round(x)}" cy="${round(y)}" r="${r}" fill="${color}" opacity="${round(0.08 + random() * 0.25)}"/>`;
+      }
+    }
+    return out;
+  },
+  function stripes(random, color) {
+    let out = '';
+    for (let x = -HEIGHT; x < WIDTH; x += 18 + random() * 50) {
+      const w = round(4 + random() * 22);
+      out += `<path d="M${round(x)} ${HEIGHT}L${round(x + HEIGHT)} 0h${w}L${round(x + w)} ${HEIGHT}z" fill="${color}" opacity="${round(0.06 + random() * 0.2)}"/>`;
+    }
+    return out;
+  },
+  function rings(random, color) {
+    const cx = round(WIDTH * (0.45 + random() * 0.5));
+    const cy = round(HEIGHT * random());
+    let out = '';
+    for (let r = 20 + random() * 20; r < WIDTH; r += 14 + random() * 30) {
+      out += `<circle cx="${cx}" cy="${cy}" r="${round(r)}" fill="none" stroke="${color}" stroke-width="${round(1 + random() * 5)}" opacity="${round(0.1 + random() * 0.25)}"/>`;
+    }
+    return out;
+  },
+  function mesh(random, color) {
+    const cols = 6 + Math.floor(random() * 4);
+    const rows = 3 + Math.floor(random() * 3);
+    const points = [];
+    for (let j = 0; j <= rows; j++) {
+      for (let i = 0; i <= cols; i++) {
+        const jitter = (i > 0 && i < cols && j > 0 && j < rows) ? 0.35 : 0;
+        points.push([
+          round((i + (random() - 0.5) * jitter) * WIDTH / cols),
+          round((j + (random() - 0.5) * jitter) * HEIGHT / rows)
+        ]);
+      }
+    }
+    let out = '';
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) {
+        const a = points[j * (cols + 1) + i];
+        const b = points[j * (cols + 1) + i + 1];
+        const c = points[(j + 1) * (cols + 1) + i];
+        const d = points[(j + 1) * (cols + 1) + i + 1];
+        out += `<path d="M${a}L${b}L${c}z" fill="${color}" opacity="${round(0.03 + random() * 0.22)}"/>`;
+        out += `<path d="M${b}L${d}L${c}z" fill="${color}" opacity="${round(0.03 + random() * 0.22)}"/>`;
+      }
+    }
+    return out;
+  }
+];
+
+// --- Topic glyphs: small line icons drawn in a 48x48 box --------------------
+
+const GLYPH_STYLE = 'fill="none" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"';
+
+const GLYPHS = [
+  { match: /^(ai|llm|llms|ml|machine-learning|deep-learning|agents?|ai-agents?|neural|rag|genai|generative-ai|nlp)$/, draw: c =>
+    `<path d="M8 12L24 24L8 36M24 24L40 12M24 24L40 36" stroke="${c}" ${GLYPH_STYLE}/><circle cx="8" cy="12" r="4" fill="${c}"/><circle cx="8" cy="36" r="4" fill="${c}"/><circle cx="24" cy="24" r="5" fill="${c}"/><circle cx="40" cy="12" r="4" fill="${c}"/><circle cx="40" cy="36" r="4" fill="${c}"/>` },
+  { match: /^(cli|terminal|shell|bash|command-line|tui)$/, draw: c =>
+    `<rect x="3" y="7" width="42" height="34" rx="5" stroke="${c}" ${GLYPH_STYLE}/><path d="M12 18l7 6-7 6M24 31h11" stroke="${c}" ${GLYPH_STYLE}/>` },
+  { match: /^(web|frontend|react|nextjs|vue|svelte|website|webapp|html|css)$/, draw: c =>
+    `<rect x="3" y="7" width="42" height="34" rx="5" stroke="${c}" ${GLYPH_STYLE}/><path d="M3 16h42" stroke="${c}" ${GLYPH_STYLE}/><circle cx="9" cy="11.5" r="1.5" fill="${c}"/><circle cx="14" cy="11.5" r="1.5" fill="${c}"/>` },
+  { match: /^(database|db|sql|postgres|postgresql|sqlite|mysql|mongodb|redis|vector-database)$/, draw: c =>
+    `<ellipse cx="24" cy="10" rx="16" ry="6" stroke="${c}" ${GLYPH_STYLE}/><path d="M8 10v28c0 3.3 7.2 6 16 6s16-2.7 16-6V10M8 24c0 3.3 7.2 6 16 6s16-2.7 16-6" stroke="${c}" ${GLYPH_STYLE}/>` },
+  { match: /^(docker|kubernetes|k8s|devops|infrastructure|terraform|cloud|aws|gcp|azure)$/, draw: c =>
+    `<rect x="5" y="26" width="16" height="14" stroke="${c}" ${GLYPH_STYLE}/><rect x="27" y="26" width="16" height="14" stroke="${c}" ${GLYPH_STYLE}/><rect x="16" y="8" width="16" height="14" stroke="${c}" ${GLYPH_STYLE}/>` },
+  { match: /^(data|data-science|analytics|visualization|dataviz|pandas|jupyter|statistics|dashboard)$/, draw: c =>
+    `<path d="M6 42h36M10 42V26M20 42V12M30 42V20M40 42V6" stroke="${c}" ${GLYPH_STYLE}/>` },
+  { match: /^(security|privacy|auth|authentication|encryption|cybersecurity)$/, draw: c =>
+    `<path d="M24 4l16 6v12c0 10-7 18-16 22C15 40 8 32 8 22V10z" stroke="${c}" ${GLYPH_STYLE}/>` },
+  { match: /^(game|games|gaming|gamedev|emulator|pokemon)$/, draw: c =>
+    `<rect x="4" y="14" width="40" height="22" rx="11" stroke="${c}" ${GLYPH_STYLE}/><path d="M14 21v8M10 25h8" stroke="${c}" ${GLYPH_STYLE}/><circle cx="32" cy="23" r="2" fill="${c}"/><circle cx="37" cy="28" r="2" fill="${c}"/>` },
+  { match: /^(audio|music|speech|voice|tts|asr|transcription)$/, draw: c =>
+    `<path d="M6 24h4M14 14v20M22 6v36M30 16v16M38 10v28M42 24h2" stroke="${c}" ${GLYPH_STYLE}/>` },
+  { match: /^(mobile|ios|android|flutter|react-native)$/, draw: c =>
+    `<rect x="13" y="4" width="22" height="40" rx="4" stroke="${c}" ${GLYPH_STYLE}/><path d="M21 38h6" stroke="${c}" ${GLYPH_STYLE}/>` }
+];
+
+// Curly braces: the glyph for repos whose topics match nothing above
+const CODE_GLYPH = c =>
+  `<path d="M18 6c-6 0-6 4-6 9s-1 9-6 9c5 0 6 4 6 9s0 9 6 9M30 6c6 0 6 4 6 9s1 9 6 9c-5 0-6 4-6 9s0 9-6 9" stroke="${c}" ${GLYPH_STYLE}/>`;
+
+function glyphsFor(topics) {
+  const drawn = [];
+  for (const topic of topics || []) {
+    const glyph = GLYPHS.find(g => g.match.test(topic.toLowerCase()));
+    if (glyph && !drawn.includes(glyph.draw)) drawn.push(glyph.draw);
+    if (drawn.length === 3) break;
+  }
+  return drawn.length > 0 ? drawn : [CODE_GLYPH];
+}
+
+// Long names shrink, very long ones are cut
+function titleLayout(title) {
+  const size = title.length > 24 ? 34 : title.length > 16 ? 42 : 52;
+  const maxChars = Math.floor((WIDTH - 96) / (size * 0.58));
+  const text = title.length > maxChars ? title.slice(0, maxChars - 1) + '…' : title;
+  return { size, text };
+}
+
+// project: a forks.json entry (needs id, name; uses displayName, language, topics)
+function renderCover(project) {
+  const random = seededRandom(typeof project.id === 'number' ? project.id : hashString(String(project.name)));
+  const color = baseColor(project.language, random);
+  const pattern = PATTERNS[Math.floor(random() * PATTERNS.length)];
+  const angle = Math.floor(random() * 360);
+  const title = titleLayout(project.displayName || project.name);
+
+  const glyphs = glyphsFor(project.topics)
+    .map((draw, i) => `<g transform="translate(${WIDTH - 88 - i * 64} 40)" opacity="0.9">${draw('#ffffff')}</g>`)
+    .join('');
+
+  const language = project.language
+    ? `<circle cx="54" cy="${HEIGHT - 44}" r="7" fill="${color}"/><text x="70" y="${HEIGHT - 38}" font-family="ui-monospace, SFMono-Regular, Menlo, monospace" font-size="18" fill="#cbd5e1">${escapeXml(project.language)}</text>`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="${WIDTH}" height="${HEIGHT}" role="img" aria-label="${escapeXml(project.displayName || project.name)}">
+<defs><linearGradient id="bg" gradientTransform="rotate(${angle} 0.5 0.5)"><stop offset="0" stop-color="#0b0b12"/><stop offset="1" stop-color="${color}" stop-opacity="0.55"/></linearGradient></defs>
+<rect width="${WIDTH}" height="${HEIGHT}" fill="#0b0b12"/>
+<rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)"/>
+<g>${pattern(random, color)}</g>
+${glyphs}
+<text x="48" y="${HEIGHT - 84}" font-family="system-ui, -apple-system, Segoe UI, sans-serif" font-size="${title.size}" font-weight="700" fill="#ffffff">${escapeXml(title.text)}</text>
+${language}
+</svg>
+`;
+}
+
+function coverPath(name) {
+  return `${COVERS_DIR}/${name}.svg`;
+}
+
+// Write covers/<name>.svg for every project plus covers/default.svg (used
+// when an image fails to load). Unchanged files are left alone.
+function writeCovers(projects, dir = COVERS_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  let written = 0;
+  const write = (file, svg) => {
+    const target = path.join(dir, file);
+    if (fs.existsSync(target) && fs.readFileSync(target, 'utf8') === svg) return;
+    fs.writeFileSync(target, svg);
+    written++;
+  };
+
+  write('default.svg', renderCover({ id: 0, name: 'project', displayName: 'Project', topics: [] }));
+  for (const project of projects) {
+    write(`${project.name}.svg`, renderCover(project));
+  }
+  return written;
+}
+
+module.exports = {
+  COVERS_DIR,
+  renderCover,
+  coverPath,
+  writeCovers
+};
@@ -0,0 +1,143 @@
+const { matchesAny } = require('./glob');
+
+// Curation rules from site.config.json "curation", applied to the whole feed
+// on every run. Repos are matched by name or owner/name globs:
+//   hide: ['*-demo']         kept in forks.json but left off every page and feed
+//   pin: ['my-agent']        always first, in the order listed
+//   order: ['api-*', 'cli']  next, in the order listed
+//   originalsFirst: true     then our own repos ahead of forks, newest first
+//   featured: ['my-agent']   picks for the Featured section
+//   featuredCount: 3         size of the Featured section; topped up with our
+//                            most starred originals, then the most starred forks
+//   collections: [{ id: 'agents', title: 'LLM agents', repos: ['*agent*'] }]
+// forks.json gets the entries in that order, a curation object on each entry
+// and top-level featured and collections lists.
+
+const DEFAULTS = {
+  hide: [],
+  pin: [],
+  order: [],
+  originalsFirst: true,
+  featured: [],
+  featuredCount: 3,
+  collections: []
+};
+
+function normalizeCuration(curation = {}) {
+  return {
+    ...DEFAULTS,
+    ...curation,
+    collections: (curation.collections || []).map(c => ({
+      id: c.id,
+      title: c.title,
+      description: c.description || '',
+      repos: c.repos
+    }))
+  };
+}
+
+// "owner/name" from the entry's GitHub URL
+function fullName(entry) {
+  try {
+    return new URL(entry.url).pathname.replace(/^\/|\/$/g, '');
+  } catch (e) {
+    return entry.name;
+  }
+}
+
+function matches(entry, globs) {
+  return [entry.name, fullName(entry)].some(name => matchesAny(name, globs));
+}
+
+// Position of the first glob in the list that matches, or Infinity
+function position(entry, globs) {
+  const index = globs.findIndex(glob => matches(entry, [glob]));
+  return index === -1 ? Infinity : index;
+}
+
+function popularity(entry) {
+  return entry.type === 'original' ? entry.stars || 0 : entry.parent?.stars || entry.stars || 0;
+}
+
+function isHidden(entry) {
+  return Boolean(entry.curation && entry.curation.hidden);
+}
+
+// Entries that pages and feeds may show
+function visibleEntries(forks) {
+  return forks.filter(entry => !isHidden(entry));
+}
+
+// Returns { forks, featured, collections, problems }: forks in curated order
+// with entry.curation set, the names for the Featured section, and the
+// collections with their members' names
+function curate(forks, rules) {
+  const problems = [];
+  const keyed = forks.map(entry => {
+    const hidden = matches(entry, rules.hide);
+    return {
+      entry,
+      hidden,
+      pin: position(entry, rules.pin),
+      order: position(entry, rules.order),
+      original: entry.type === 'original' ? 0 : 1,
+      updated: new Date(entry.updatedAt || 0).getTime()
+    };
+  });
+
+  keyed.sort((a, b) =>
+    (a.hidden - b.hidden) ||
+    (a.pin - b.pin) ||
+    (a.order - b.order) ||
+    (rules.originalsFirst ? a.original - b.original : 0) ||
+    (b.updated - a.updated) ||
+    a.entry.name.localeCompare(b.entry.name));
+
+  const collections = rules.collections.map(c => ({ ...c, repos: [] }));
+  const curated = keyed.map(({ entry, hidden, pin }, i) => {
+    const memberOf = hidden ? [] : collections.filter((c, j) => matches(entry, rules.collections[j].repos));
+    memberOf.forEach(c => c.repos.push(entry.name));
+    return {
+      ...entry,
+      curation: {
+        rank: i + 1,
+        hidden,
+        pinned: !hidden && pin !== Infinity,
+        featured: false,
+        collections: memberOf.map(c => c.id)
+      }
+    };
+  });
+
+  // Explicit picks (rules or a content/ featured: true) first, in curated
+  // order, then the top-up; featured: false in content/ opts a repo out
+  const visible = curated.filter(entry => !entry.curation.hidden);
+  const picked = visible.filter(entry => entry.featured === true || (entry.featured !== false && matches(entry, rules.featured)));
+  if (picked.length > rules.featuredCount) {
+    problems.push(`${picked.length} featured repos but featuredCount is ${rules.featuredCount}; not shown: ${picked.slice(rules.featuredCount).map(e => e.name).join(', ')}`);
+  }
+  const topUp = visible
+    .filter(entry => !picked.includes(entry) && entry.featured !== false)
+    .sort((a, b) => (a.type === 'original' ? 0 : 1) - (b.type === 'original' ? 0 : 1) || popularity(b) - popularity(a));
+  const featured = [...picked, ...topUp].slice(0, rules.featuredCount);
+  featured.forEach(entry => { entry.curation.featured = true; });
+
+  // Rules that match nothing are usually typos
+  for (const key of ['hide', 'pin', 'order', 'featured']) {
+    for (const glob of rules[key]) {
+      if (!forks.some(entry => matches(entry, [glob]))) problems.push(`${key}: "${glob}" matches no repo`);
+    }
+  }
+  for (const c of collections) {
+    if (c.repos.length === 0) problems.push(`collection "${c.id}" has no repos`);
+  }
+
+  return { forks: curated, featured: featured.map(e => e.name), collections, problems };
+}
+
+module.exports = {
+  normalizeCuration,
+  isHidden,
+  visibleEntries,
+  curate
+};
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCuration, isHidden, visibleEntries, curate } = require('./curation');
+
+function entry(name, fields = {}) {
+  return {
+    name,
+    url: `https://github.com/yebeai/${name}`,
+    type: 'fork',
+    stars: 0,
+    updatedAt: '2026-01-01T00:00:00Z',
+    ...fields
+  };
+}
+
+const FEED = [
+  entry('old-fork', { updatedAt: '2025-01-01T00:00:00Z', parent: { stars: 900 } }),
+  entry('new-fork', { updatedAt: '2026-06-01T00:00:00Z', parent: { stars: 50 } }),
+  entry('my-agent', { type: 'original', stars: 5 }),
+  entry('api-client', { updatedAt: '2024-01-01T00:00:00Z' }),
+  entry('tool-demo', { type: 'original', stars: 100 }),
+  entry('cli', { updatedAt: '2024-01-01T00:00:00Z' })
+];
+
+const names = forks => forks.map(f => f.name);
+
+test('normalizeCuration fills in the defaults', () => {
+  const rules = normalizeCuration({ hide: ['*-demo'], collections: [{ id: 'agents', title: 'Agents', repos: ['*agent*'] }] });
+  assert.deepEqual(rules.hide, ['*-demo']);
+  assert.equal(rules.originalsFirst, true);
+  assert.equal(rules.featuredCount, 3);
+  assert.deepEqual(rules.collections, [{ id: 'agents', title: 'Agents', description: '', repos: ['*agent*'] }]);
+});
+
+test('curate orders pinned, ordered, originals, then newest, with hidden repos last', () => {
+  const { forks } = curate(FEED, normalizeCuration({
+    hide: ['*-demo'],
+    pin: ['cli'],
+    order: ['yebeai/api-*']
+  }));
+  assert.deepEqual(names(forks), ['cli', 'api-client', 'my-agent', 'new-fork', 'old-fork', 'tool-demo']);
+  assert.deepEqual(forks.map(f => f.curation.rank), [1, 2, 3, 4, 5, 6]);
+  assert.equal(forks[0].curation.pinned, true);
+  assert.equal(isHidden(forks[5]), true);
+  assert.deepEqual(names(visibleEntries(forks)), names(forks).slice(0, 5));
+
+  const newestFirst = curate(FEED, normalizeCuration({ originalsFirst: false }));
+  assert.deepEqual(names(newestFirst.forks).slice(0, 2), ['new-fork', 'my-agent']);
+});
+
+test('featured takes explicit picks, then the most starred originals and forks', () => {
+  const feed = FEED.map(f => (f.name === 'cli' ? { ...f, featured: true } : f));
+  const { featured } = curate(feed, normalizeCuration({ hide: ['*-demo'], featured: ['new-fork'], featuredCount: 3 }));
+  // tool-demo has the most stars but is hidden
+  assert.deepEqual(featured, ['new-fork', 'cli', 'my-agent']);
+
+  // featured: false in content/ opts a repo out of the top-up
+  const optedOut = FEED.map(f => (f.name === 'tool-demo' ? { ...f, featured: false } : f));
+  assert.deepEqual(curate(optedOut, normalizeCuration({ featuredCount: 2 })).featured, ['my-agent', 'old-fork']);
+});
+
+test('collections list their visible members and unmatched rules are reported', () => {
+  const { forks, collections, problems } = curate(FEED, normalizeCuration({
+    hide: ['tool-demo'],
+    pin: ['typo-repo'],
+    featured: ['my-agent', 'cli'],
+    featuredCount: 1,
+    collections: [
+      { id: 'tools', title: 'Tools', repos: ['cli', 'tool-*', 'api-*'] },
+      { id: 'empty', title: 'Empty', repos: ['nothing-*'] }
+    ]
+  }));
+  assert.deepEqual(collections[0].repos, ['api-client', 'cli']);
+  assert.deepEqual(forks.find(f => f.name === 'cli').curation.collections, ['tools']);
+  assert.deepEqual(problems, [
+    '2 featured repos but featuredCount is 1; not shown: cli',
+    'pin: "typo-repo" matches no repo',
+    'collection "empty" has no repos'
+  ]);
+});
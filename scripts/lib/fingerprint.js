@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+
+// Fingerprints record the inputs an article was generated from, so a later
+// run can tell how far a repo has drifted since. README and file tree carry a
+// MinHash signature next to their exact hash: two hashes only say "changed",
+// the signatures estimate *how much* changed.
+
+const FINGERPRINT_VERSION = 1;
+const SIGNATURE_SIZE = 16;
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex').slice(0, 16);
+}
+
+// Seeded 32-bit FNV-1a, one seed per signature slot
+function fnv1a(text, seed) {
+  let h = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+function minHashSignature(tokens) {
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const token of tokens) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const h = fnv1a(token, Math.imul(i + 1, 0x9e3779b1));
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+// Overlapping three-word shingles, so reworded paragraphs register as change
+function textShingles(text) {
+  const words = (text || '').toLowerCase().split(/[^a-z0-9_]+/).filter(Boolean);
+  if (words.length < 3) return new Set(words);
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - 3; i++) {
+    shingles.add(words.slice(i, i + 3).join(' '));
+  }
+  return shingles;
+}
+
+function signatureSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+function jaccard(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 && setB.size === 0) return 1;
+  let shared = 0;
+  for (const item of setA) {
+    if (setB.has(item)) shared++;
+  }
+  return shared / (setA.size + setB.size - shared);
+}
+
+function computeFingerprint({ readme, fileTree, description, topics, pushedAt }) {
+  const paths = [...(fileTree || [])].sort();
+  return {
+    version: FINGERPRINT_VERSION,
+    readme: {
+      hash: hashText(readme),
+      signature: minHashSignature(textShingles(readme))
+    },
+    tree: {
+      hash: hashText(paths.join('\n')),
+      count: paths.length,
+      signature: minHashSignature(paths)
+    },
+    description: hashText(description),
+    topics: [...(topics || [])].sort(),
+    pushedAt: pushedAt || null
+  };
+}
+
+// Fraction (0..1) of a README or tree that changed between two fingerprints
+function componentDrift(previous, current) {
+  if (previous.hash === current.hash) return 0;
+  return 1 - signatureSimilarity(previous.signature, current.signature);
+}
+
+// Per-component drift between two fingerprints. README and tree drift can be
+// supplied directly when the caller skipped refetching them.
+function measureDrift(previous, current, known = {}) {
+  return {
+    readme: known.readme ?? componentDrift(previous.readme, current.readme),
+    tree: known.tree ?? componentDrift(previous.tree, current.tree),
+    description: previous.description === current.description ? 0 : 1,
+    topics: 1 - jaccard(previous.topics, current.topics)
+  };
+}
+
+const COMPONENT_LABELS = {
+  readme: 'README',
+  tree: 'file tree',
+  description: 'description',
+  topics: 'topics'
+};
+
+// Weighted drift score plus a readable reason for every component that moved
+function scoreDrift(components, weights) {
+  let score = 0;
+  const reasons = [];
+  for (const [key, value] of Object.entries(components)) {
+    score += value * (weights[key] || 0);
+    if (value > 0) {
+      reasons.push(`${COMPONENT_LABELS[key]} ${Math.round(value * 100)}% changed`);
+    }
+  }
+  return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  hashText,
+  computeFingerprint,
+  measureDrift,
+  scoreDrift
+};
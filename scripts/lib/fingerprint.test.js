@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeFingerprint, measureDrift, scoreDrift } = require('./fingerprint');
+
+const WEIGHTS = { readme: 0.4, tree: 0.3, description: 0.2, topics: 0.1 };
+
+const README = Array.from({ length: 60 }, (_, i) => `Line ${i} explains option number ${i} of the tool`).join('\n');
+const TREE = Array.from({ length: 40 }, (_, i) => `src/module-${i}.js`);
+
+function fingerprint(overrides = {}) {
+  return computeFingerprint({
+    readme: README,
+    fileTree: TREE,
+    description: 'A tool',
+    topics: ['cli', 'git'],
+    pushedAt: '2026-01-01T00:00:00Z',
+    ...overrides
+  });
+}
+
+test('computeFingerprint ignores file tree order and keeps topics sorted', () => {
+  const a = fingerprint();
+  const b = fingerprint({ fileTree: [...TREE].reverse(), topics: ['git', 'cli'] });
+  assert.deepEqual(a, b);
+  assert.equal(a.tree.count, 40);
+  assert.equal(a.readme.signature.length, 16);
+  assert.equal(a.pushedAt, '2026-01-01T00:00:00Z');
+});
+
+test('unchanged inputs have no drift', () => {
+  const drift = measureDrift(fingerprint(), fingerprint());
+  assert.deepEqual(drift, { readme: 0, tree: 0, description: 0, topics: 0 });
+  assert.deepEqual(scoreDrift(drift, WEIGHTS), { score: 0, reasons: [] });
+});
+
+test('a small README edit drifts less than a rewrite', () => {
+  // Five of sixty lines reworded
+  const edited = fingerprint({
+    readme: README.split('\n').map((line, i) => (i < 5 ? `Changed wording for entry ${i} here` : line)).join('\n')
+  });
+  const rewritten = fingerprint({ readme: 'Completely different text about something else entirely, nothing shared.' });
+  const small = measureDrift(fingerprint(), edited).readme;
+  const large = measureDrift(fingerprint(), rewritten).readme;
+  assert.ok(small > 0 && small < 0.5, `small edit drifted ${small}`);
+  assert.ok(large > 0.8, `rewrite drifted ${large}`);
+});
+
+test('description and topic changes are measured exactly', () => {
+  const drift = measureDrift(fingerprint(), fingerprint({ description: 'Another tool', topics: ['cli', 'rust'] }));
+  assert.equal(drift.description, 1);
+  assert.equal(drift.topics, 1 - 1 / 3);
+  assert.equal(drift.readme, 0);
+});
+
+test('known README and tree drift skips the comparison', () => {
+  const metadataOnly = computeFingerprint({ description: 'A tool', topics: ['cli', 'git'] });
+  assert.deepEqual(measureDrift(fingerprint(), metadataOnly, { readme: 0.25, tree: 0 }), {
+    readme: 0.25,
+    tree: 0,
+    description: 0,
+    topics: 0
+  });
+});
+
+test('scoreDrift weighs components and explains each one that moved', () => {
+  assert.deepEqual(scoreDrift({ readme: 0.5, tree: 0, description: 1, topics: 0.25 }, WEIGHTS), {
+    score: 0.425,
+    reasons: ['README 50% changed', 'description 100% changed', 'topics 25% changed']
+  });
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const { validate, formatErrors } = require('./json-schema');
+const schema = require('../../schemas/forks.schema.json');
+
+// Reading and writing forks.json. Every script goes through here so the file
+// is migrated to the current schemaVersion on read and validated against
+// schemas/forks.schema.json on both read and write. A file that fails
+// validation is never written, so a bad run cannot ship a broken homepage.
+
+const SCHEMA_VERSION = 2;
+const SCHEMA_URL = schema.$id;
+
+class ForksValidationError extends Error {
+  constructor(file, errors) {
+    super(`${file} does not match forks.schema.json (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${formatErrors(errors)}`);
+    this.name = 'ForksValidationError';
+    this.errors = errors;
+  }
+}
+
+// "February 16, 2026" (old toLocaleDateString output) or any parseable date
+// to an ISO 8601 timestamp. Day-only inputs become midnight UTC.
+function toIsoDateTime(value) {
+  if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return value; // Already ISO
+  const parsed = new Date(value);
+  if (isNaN(parsed)) return value; // Left for validation to report
+  return new Date(Date.UTC(parsed.getFullYear(), parsed.getMonth(), parsed.getDate())).toISOString();
+}
+
+// Each migration upgrades a file from `from` to `from + 1`.
+// Files written before schemaVersion existed count as version 1.
+const migrations = [
+  {
+    from: 1,
+    description: 'locale date strings to ISO 8601',
+    up(data) {
+      return {
+        ...data,
+        forks: (data.forks || []).map(fork => {
+          const migrated = { ...fork };
+          if (fork.forkedAt) migrated.forkedAt = toIsoDateTime(fork.forkedAt);
+          if (fork.updatedAt) migrated.updatedAt = toIsoDateTime(fork.updatedAt);
+          return migrated;
+        })
+      };
+    }
+  }
+];
+
+function migrateForks(data) {
+  let version = data.schemaVersion || 1;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`forks.json has schemaVersion ${version}, newer than this script supports (${SCHEMA_VERSION})`);
+  }
+
+  const applied = [];
+  while (version < SCHEMA_VERSION) {
+    const migration = migrations.find(m => m.from === version);
+    data = { ...migration.up(data), schemaVersion: version + 1 };
+    applied.push(`v${version} → v${version + 1}: ${migration.description}`);
+    version++;
+  }
+  return { data, applied };
+}
+
+function validateForks(data) {
+  return validate(data, schema);
+}
+
+// Read, migrate and validate. Throws ForksValidationError with JSON-pointer
+// paths for every problem found.
+function readForksFile(file = 'forks.json') {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not parse ${file}: ${e.message}`);
+  }
+
+  const { data, applied } = migrateForks(raw);
+  const errors = validateForks(data);
+  if (errors.length > 0) {
+    throw new ForksValidationError(file, errors);
+  }
+  return { data, applied };
+}
+
+// Validate exactly what will be serialised, then write atomically
+// (temp file + rename)
+function writeForksFile(file, data) {
+  const { $schema, schemaVersion, ...rest } = data;
+  const json = JSON.stringify({ $schema: SCHEMA_URL, schemaVersion: SCHEMA_VERSION, ...rest }, null, 2);
+  const output = JSON.parse(json);
+
+  const errors = validateForks(output);
+  if (errors.length > 0) {
+    throw new ForksValidationError(file, errors);
+  }
+
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, json);
+  fs.renameSync(tmp, file);
+  return output;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  ForksValidationError,
+  migrateForks,
+  validateForks,
+  readForksFile,
+  writeForksFile
+};
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const { createLimiter } = require('./pool');
+
+// Shared GitHub REST client for the pipeline scripts.
+// - Honours X-RateLimit-* headers: sleeps until the window resets instead of
+//   burning requests that will fail.
+// - Retries 5xx responses and network errors with exponential backoff.
+// - Sends If-None-Match from a persisted ETag cache; a 304 costs no quota and
+//   is answered from the cached body. Only entries requested during the run
+//   are saved, so URLs the pipeline stopped asking for drop out. Requests made
+//   with `cache: false` (READMEs and recursive trees, whose bodies are large
+//   and only refetched once a repo has changed anyway) skip the cache.
+// - Waits out Retry-After, given in seconds or as an HTTP date.
+// - Keeps at most `concurrency` requests in flight; callers can fire requests
+//   in parallel and the rest queue.
+// A 404 (or 409 for an empty repository) resolves to null. Anything else that
+// fails throws a GitHubApiError so callers never mistake an error for "empty".
+
+class GitHubApiError extends Error {
+  constructor(message, { status = null, url = null, kind = 'http' } = {}) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.url = url;
+    this.kind = kind;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// Retry-After in milliseconds: delay-seconds or an HTTP date. null when
+// absent or unreadable.
+function retryAfterMs(value) {
+  if (value === null || value.trim() === '') return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function loadCache(cacheFile) {
+  try {
+    if (cacheFile && fs.existsSync(cacheFile)) {
+      return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    }
+  } catch (e) {
+    console.log(`Ignoring unreadable ETag cache ${cacheFile}: ${e.message}`);
+  }
+  return {};
+}
+
+function createGitHubClient(options = {}) {
+  const {
+    token,
+    baseUrl = process.env.GITHUB_API_URL || 'https://api.github.com',
+    userAgent = 'GitHub-Pages-Blog-Generator',
+    cacheFile = null,
+    maxRetries = 3,
+    backoffMs = 1000,
+    maxRateLimitWaitMs = 15 * 60 * 1000,
+    concurrency = 8
+  } = options;
+
+  const cache = loadCache(cacheFile);
+  const used = new Set(); // Cache keys requested this run
+  const rateLimit = { limit: null, remaining: null, resetAt: null };
+  const stats = { requests: 0, notModified: 0, retries: 0, rateLimitWaits: 0, errors: 0 };
+  const limit = createLimiter({ concurrency });
+
+  function recordRateLimit(response) {
+    const limit = response.headers.get('x-ratelimit-limit');
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const reset = response.headers.get('x-ratelimit-reset');
+    if (limit !== null) rateLimit.limit = Number(limit);
+    if (remaining !== null) rateLimit.remaining = Number(remaining);
+    if (reset !== null) rateLimit.resetAt = Number(reset) * 1000;
+  }
+
+  async function waitForRateLimit(ms, url) {
+    if (ms > maxRateLimitWaitMs) {
+      throw new GitHubApiError(
+        `Rate limit exhausted until ${new Date(Date.now() + ms).toISOString()}`,
+        { status: 403, url, kind: 'rate_limit' }
+      );
+    }
+    stats.rateLimitWaits++;
+    console.log(`  GitHub rate limit reached, waiting ${Math.ceil(ms / 1000)}s...`);
+    await sleep(ms);
+    rateLimit.remaining = null;
+  }
+
+  // How long a 403/429 asks us to wait, or null if it is not a rate limit
+  function rateLimitDelay(response) {
+    const retryAfter = retryAfterMs(response.headers.get('retry-after'));
+    if (retryAfter !== null) return retryAfter;
+    if (response.headers.get('x-ratelimit-remaining') === '0' && rateLimit.resetAt) {
+      return Math.max(0, rateLimit.resetAt - Date.now()) + 1000;
+    }
+    return null;
+  }
+
+  // GET a path (or absolute API URL). `as` is 'json' or 'text'; `cache: false`
+  // neither sends nor stores an ETag.
+  function request(pathOrUrl, options) {
+    return limit(() => send(pathOrUrl, options));
+  }
+
+  async function send(pathOrUrl, { accept = 'application/vnd.github.v3+json', as = 'json', cache: useCache = true } = {}) {
+    const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${baseUrl}${pathOrUrl}`;
+    const cacheKey = `${accept} ${url}`;
+    const cached = useCache ? cache[cacheKey] : undefined;
+    if (useCache) used.add(cacheKey);
+
+    for (let attempt = 0; ; attempt++) {
+      if (rateLimit.remaining === 0 && rateLimit.resetAt > Date.now()) {
+        await waitForRateLimit(rateLimit.resetAt - Date.now() + 1000, url);
+      }
+
+      let response;
+      try {
+        stats.requests++;
+        response = await fetch(url, {
+          headers: {
+            'Accept': accept,
+            'User-Agent': userAgent,
+            ...(token && { 'Authorization': `token ${token}` }),
+            ...(cached && { 'If-None-Match': cached.etag })
+          }
+        });
+      } catch (error) {
+        if (attempt < maxRetries) {
+          stats.retries++;
+          await sleep(backoffMs * 2 ** attempt);
+          continue;
+        }
+        stats.errors++;
+        throw new GitHubApiError(`GitHub request failed: ${error.message}`, { url, kind: 'network' });
+      }
+
+      recordRateLimit(response);
+
+      if (response.status === 304 && cached) {
+        stats.notModified++;
+        return as === 'json' ? JSON.parse(cached.body) : cached.body;
+      }
+
+      if (response.ok) {
+        const body = await response.text();
+        const etag = response.headers.get('etag');
+        if (etag && useCache) cache[cacheKey] = { etag, body };
+        return as === 'json' ? JSON.parse(body) : body;
+      }
+
+      if (response.status === 404 || response.status === 409) {
+        return null;
+      }
+
+      const delay = response.status === 403 || response.status === 429 ? rateLimitDelay(response) : null;
+      if (delay !== null && attempt < maxRetries) {
+        await waitForRateLimit(delay, url);
+        stats.retries++;
+        continue;
+      }
+
+      if (response.status >= 500 && attempt < maxRetries) {
+        stats.retries++;
+        await sleep(backoffMs * 2 ** attempt);
+        continue;
+      }
+
+      stats.errors++;
+      const errorText = await response.text();
+      throw new GitHubApiError(`GitHub API error ${response.status} for ${url}: ${errorText.slice(0, 120)}`, {
+        status: response.status,
+        url,
+        kind: delay !== null ? 'rate_limit' : 'http'
+      });
+    }
+  }
+
+  // Persist the ETag cache for the next run, without entries this run didn't use
+  function saveCache() {
+    if (!cacheFile) return;
+    const kept = Object.fromEntries(Object.entries(cache).filter(([key]) => used.has(key)));
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(kept));
+  }
+
+  return { request, saveCache, stats, rateLimit };
+}
+
+module.exports = {
+  GitHubApiError,
+  createGitHubClient
+};
@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { GitHubApiError, createGitHubClient } = require('./github-client');
+
+// A local server standing in for api.github.com; `routes` maps a path to a
+// handler, and every request is logged with its headers
+function startServer(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    const handler = routes[req.url];
+    if (!handler) {
+      res.writeHead(404);
+      res.end('{}');
+      return;
+    }
+    handler(req, res);
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+  }));
+}
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+test('answers a 304 from the ETag cache', async () => {
+  const { server, requests, baseUrl } = await startServer({
+    '/repos/a/b': (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        res.end();
+      } else {
+        json(res, 200, { name: 'b' }, { etag: '"v1"' });
+      }
+    }
+  });
+  try {
+    const github = createGitHubClient({ baseUrl });
+    assert.deepEqual(await github.request('/repos/a/b'), { name: 'b' });
+    assert.deepEqual(await github.request('/repos/a/b'), { name: 'b' });
+    assert.equal(requests[1].headers['if-none-match'], '"v1"');
+    assert.equal(github.stats.notModified, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('resolves 404 and 409 to null', async () => {
+  const { server, baseUrl } = await startServer({
+    '/repos/a/empty/git/trees/main': (req, res) => json(res, 409, { message: 'Git Repository is empty.' })
+  });
+  try {
+    const github = createGitHubClient({ baseUrl });
+    assert.equal(await github.request('/repos/a/missing'), null);
+    assert.equal(await github.request('/repos/a/empty/git/trees/main'), null);
+  } finally {
+    server.close();
+  }
+});
+
+test('retries 5xx responses and gives up after maxRetries', async () => {
+  let flakyCalls = 0;
+  const { server, baseUrl } = await startServer({
+    '/flaky': (req, res) => (++flakyCalls < 3 ? json(res, 502, {}) : json(res, 200, { ok: true })),
+    '/down': (req, res) => json(res, 500, { message: 'boom' })
+  });
+  try {
+    const github = createGitHubClient({ baseUrl, backoffMs: 1, maxRetries: 2 });
+    assert.deepEqual(await github.request('/flaky'), { ok: true });
+    assert.equal(github.stats.retries, 2);
+
+    await assert.rejects(github.request('/down'), error => {
+      assert.ok(error instanceof GitHubApiError);
+      assert.equal(error.status, 500);
+      assert.equal(error.kind, 'http');
+      return true;
+    });
+  } finally {
+    server.close();
+  }
+});
+
+test('throws a rate_limit error instead of waiting past maxRateLimitWaitMs', async () => {
+  const { server, requests, baseUrl } = await startServer({
+    '/limited': (req, res) => json(res, 429, { message: 'slow down' }, { 'retry-after': '3600' })
+  });
+  try {
+    const github = createGitHubClient({ baseUrl, maxRateLimitWaitMs: 1000 });
+    await assert.rejects(github.request('/limited'), { name: 'GitHubApiError', kind: 'rate_limit' });
+    assert.equal(requests.length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('records rate-limit headers', async () => {
+  const reset = Math.floor(Date.now() / 1000) + 600;
+  const { server, baseUrl } = await startServer({
+    '/user': (req, res) => json(res, 200, {}, {
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-remaining': '4321',
+      'x-ratelimit-reset': String(reset)
+    })
+  });
+  try {
+    const github = createGitHubClient({ baseUrl });
+    await github.request('/user');
+    assert.deepEqual(github.rateLimit, { limit: 5000, remaining: 4321, resetAt: reset * 1000 });
+  } finally {
+    server.close();
+  }
+});
+
+test('keeps at most `concurrency` requests in flight', async () => {
+  let active = 0;
+  let peak = 0;
+  const slow = (req, res) => {
+    active++;
+    peak = Math.max(peak, active);
+    setTimeout(() => {
+      active--;
+      json(res, 200, { url: req.url });
+    }, 20);
+  };
+  const routes = Object.fromEntries([1, 2, 3, 4, 5].map(n => [`/r/${n}`, slow]));
+  const { server, baseUrl } = await startServer(routes);
+  try {
+    const github = createGitHubClient({ baseUrl, concurrency: 2 });
+    const results = await Promise.all(Object.keys(routes).map(p => github.request(p)));
+    assert.deepEqual(results.map(r => r.url), Object.keys(routes));
+    assert.equal(peak, 2);
+  } finally {
+    server.close();
+  }
+});
+
+test('saveCache drops entries the run did not request', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-client-'));
+  const cacheFile = path.join(dir, 'etags.json');
+  const { server, baseUrl } = await startServer({
+    '/kept': (req, res) => json(res, 200, { kept: true }, { etag: '"k"' })
+  });
+  try {
+    const accept = 'application/vnd.github.v3+json';
+    fs.writeFileSync(cacheFile, JSON.stringify({
+      [`${accept} ${baseUrl}/stale`]: { etag: '"s"', body: '{}' }
+    }));
+    const github = createGitHubClient({ baseUrl, cacheFile });
+    await github.request('/kept');
+    github.saveCache();
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(cacheFile, 'utf8'))), [`${accept} ${baseUrl}/kept`]);
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('waits out a Retry-After given as an HTTP date', async () => {
+  let calls = 0;
+  const { server, baseUrl } = await startServer({
+    '/limited': (req, res) => {
+      if (++calls === 1) {
+        // HTTP dates have whole seconds, so this asks for a wait of up to a second
+        json(res, 429, {}, { 'retry-after': new Date(Date.now() + 1000).toUTCString() });
+      } else {
+        json(res, 200, { ok: true });
+      }
+    }
+  });
+  const log = console.log;
+  console.log = () => {};
+  try {
+    const github = createGitHubClient({ baseUrl });
+    const started = Date.now();
+    assert.deepEqual(await github.request('/limited'), { ok: true });
+    assert.equal(github.stats.rateLimitWaits, 1);
+    assert.ok(Date.now() - started < 2500);
+
+    // A date beyond maxRateLimitWaitMs gives up instead of retrying at once
+    calls = 0;
+    const impatient = createGitHubClient({ baseUrl, maxRateLimitWaitMs: 0 });
+    await assert.rejects(impatient.request('/limited'), { kind: 'rate_limit' });
+  } finally {
+    console.log = log;
+    server.close();
+  }
+});
+
+test('requests made with cache: false neither send nor store ETags', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-client-'));
+  const cacheFile = path.join(dir, 'etags.json');
+  const { server, requests, baseUrl } = await startServer({
+    '/repos/a/b/git/trees/HEAD?recursive=1': (req, res) => json(res, 200, { tree: [] }, { etag: '"t"' })
+  });
+  try {
+    const github = createGitHubClient({ baseUrl, cacheFile });
+    await github.request('/repos/a/b/git/trees/HEAD?recursive=1', { cache: false });
+    await github.request('/repos/a/b/git/trees/HEAD?recursive=1', { cache: false });
+    assert.equal(requests[1].headers['if-none-match'], undefined);
+    github.saveCache();
+    assert.deepEqual(JSON.parse(fs.readFileSync(cacheFile, 'utf8')), {});
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
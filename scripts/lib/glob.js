@@ -0,0 +1,28 @@
+// Minimal glob matching for repository names: `*` matches any run of
+// characters and `?` exactly one. Case-insensitive, like GitHub repo names.
+
+function globToRegExp(glob) {
+  const pattern = glob
+    .split('')
+    .map(ch => {
+      if (ch === '*') return '.*';
+      if (ch === '?') return '.';
+      return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+function matchesGlob(name, glob) {
+  return globToRegExp(glob).test(name);
+}
+
+function matchesAny(name, globs) {
+  return (globs || []).some(glob => matchesGlob(name, glob));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  matchesAny
+};
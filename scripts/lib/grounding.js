@@ -0,0 +1,105 @@
+// Grounding check for generated articles. The prompt asks the model to name
+// real files in `inline code`; this pulls those references back out and
+// verifies them against the repo's file tree and README, so invented paths
+// like `src/utils/magic.py` can be caught (and optionally sent back to the
+// model for a rewrite).
+//
+// Only paths can be proven invented. Function and class names live inside
+// source files we don't fetch, so an identifier counts when the tree or README
+// mentions it and is otherwise left unverified rather than flagged.
+
+const FILE_EXTENSION = /\.[a-z0-9]{1,8}$/i;
+
+// Things that look like files but aren't: URLs, domains, library names
+const NOT_A_FILE = [
+  /^(https?:|www\.)/i,
+  /^[\w-]+\.(io|ai|com|org|net|dev|app|sh)$/i,
+  /^[A-Z][\w-]*\.js$/ // Node.js, Vue.js, Three.js
+];
+
+function isPathLike(token) {
+  if (NOT_A_FILE.some(re => re.test(token))) return false;
+  if (/[*?]/.test(token)) return false; // Globs like *.py
+  return token.includes('/') || FILE_EXTENSION.test(token);
+}
+
+// camelCase, snake_case or a call like run(); plain words are ignored
+function isIdentifier(token) {
+  if (!/^[A-Za-z_][\w.]*(\(\))?$/.test(token)) return false;
+  return /[a-z][A-Z]/.test(token) || token.includes('_') || token.endsWith('()');
+}
+
+function normalizePath(token) {
+  return token.replace(/^\.?\//, '').replace(/\/$/, '').replace(/[:,;]+$/, '');
+}
+
+// Inline code references in an article, split into paths and identifiers.
+// Fenced code blocks are skipped: they hold example usage, not claims about
+// the repo. Multi-word spans (shell commands) contribute their path tokens.
+function extractReferences(article) {
+  const prose = (article || '').replace(/```[\s\S]*?```/g, ' ');
+  const paths = new Set();
+  const identifiers = new Set();
+
+  for (const match of prose.matchAll(/`([^`\n]+)`/g)) {
+    const span = match[1].trim();
+    const tokens = /\s/.test(span) ? span.split(/\s+/) : [span];
+    for (const raw of tokens) {
+      // Keeps the parentheses of a call like run()
+      let token = raw.replace(/^["'(]+|["',]+$/g, '');
+      if (!token.includes('(')) token = token.replace(/\)+$/, '');
+      if (!token) continue;
+      if (isPathLike(token)) {
+        paths.add(normalizePath(token));
+      } else if (tokens.length === 1 && isIdentifier(token)) {
+        identifiers.add(token.replace(/\(\)$/, ''));
+      }
+    }
+  }
+
+  return { paths: [...paths].filter(Boolean), identifiers: [...identifiers] };
+}
+
+function pathExists(ref, tree, lowerReadme) {
+  const lowerRef = ref.toLowerCase();
+  for (const file of tree) {
+    const lowerFile = file.toLowerCase();
+    if (lowerFile === lowerRef) return true; // Exact path
+    if (lowerFile.startsWith(lowerRef + '/')) return true; // Directory
+    if (lowerFile.endsWith('/' + lowerRef)) return true; // Path relative to a subfolder
+  }
+  // Files the README talks about (e.g. a .env you create yourself)
+  return lowerReadme.includes(lowerRef);
+}
+
+function identifierExists(ref, tree, lowerReadme) {
+  const lowerRef = ref.toLowerCase();
+  return lowerReadme.includes(lowerRef) || tree.some(file => file.toLowerCase().includes(lowerRef));
+}
+
+// ratio is null when there is nothing to check against (no tree, no README).
+// `unverified` counts identifiers that are neither confirmed nor counted.
+function checkGrounding(article, { fileTree = [], readme = '' } = {}) {
+  const { paths, identifiers } = extractReferences(article);
+  const lowerReadme = (readme || '').toLowerCase();
+
+  if (fileTree.length === 0 && !lowerReadme) {
+    return { ratio: null, checked: 0, invalid: [], unverified: identifiers.length };
+  }
+
+  const invalid = paths.filter(ref => !pathExists(ref, fileTree, lowerReadme));
+  const confirmed = identifiers.filter(ref => identifierExists(ref, fileTree, lowerReadme));
+  const checked = paths.length + confirmed.length;
+
+  return {
+    ratio: checked === 0 ? 1 : Math.round((checked - invalid.length) / checked * 100) / 100,
+    checked,
+    invalid,
+    unverified: identifiers.length - confirmed.length
+  };
+}
+
+module.exports = {
+  extractReferences,
+  checkGrounding
+};
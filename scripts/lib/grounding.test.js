@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractReferences, checkGrounding } = require('./grounding');
+
+const TREE = ['README.md', 'src/agent/loop.py', 'src/agent/tools.py', 'tests/test_loop.py', 'configs/default.yaml'];
+
+test('extractReferences splits inline code into paths and identifiers', () => {
+  const article = [
+    'The loop lives in `src/agent/loop.py`, configured by `./configs/default.yaml`.',
+    'Run `python -m agent --config configs/default.yaml` and call `run_agent()` or `buildGraph`.',
+    'It uses `Node.js`, `pytorch.org`, `https://example.com/a.py`, `*.py` and plain `agent`.',
+    '```',
+    'from agent import `fenced.py`',
+    '```'
+  ].join('\n');
+  const { paths, identifiers } = extractReferences(article);
+  assert.deepEqual(paths, ['src/agent/loop.py', 'configs/default.yaml']);
+  assert.deepEqual(identifiers, ['run_agent', 'buildGraph']);
+  assert.deepEqual(extractReferences(null), { paths: [], identifiers: [] });
+});
+
+test('checkGrounding flags invented paths', () => {
+  const article = 'See `src/agent/loop.py`, `agent/tools.py`, `tests/` and `src/utils/magic.py`.';
+  const result = checkGrounding(article, { fileTree: TREE, readme: '' });
+  assert.deepEqual(result, { ratio: 0.75, checked: 4, invalid: ['src/utils/magic.py'], unverified: 0 });
+});
+
+test('the README vouches for paths and identifiers the tree lacks', () => {
+  const article = 'Copy `.env.example` to `.env`, then call `run_agent()` and `MagicHelper`.';
+  const readme = 'Create a `.env` file from `.env.example`. The entry point is `run_agent()`.';
+  const result = checkGrounding(article, { fileTree: TREE, readme });
+  assert.equal(result.ratio, 1);
+  assert.equal(result.checked, 3);
+  assert.deepEqual(result.invalid, []);
+  // MagicHelper may well exist inside a file we never fetched
+  assert.equal(result.unverified, 1);
+});
+
+test('nothing to check against gives a null ratio', () => {
+  assert.deepEqual(checkGrounding('Call `runAgent()` in `src/x.py`.', {}), { ratio: null, checked: 0, invalid: [], unverified: 1 });
+  assert.equal(checkGrounding('No references at all.', { fileTree: TREE }).ratio, 1);
+});
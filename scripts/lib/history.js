@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { hashText } = require('./fingerprint');
+
+// Append-only snapshot history, one JSONL file per repo in history/. Each run
+// of update-forks.js appends a snapshot for every repo whose tracked fields
+// changed since its last line (unchanged repos add nothing, so the files only
+// grow when something happens). A repo that disappears gets a final
+// { removed: true } line.
+//
+// diffSnapshots() and buildChangelog() turn the history into "what changed"
+// entries for scripts/changelog.js.
+
+const HISTORY_DIR = 'history';
+
+// The fields worth tracking between runs
+function snapshotOf(fork, at) {
+  const kg = fork.knowledgeGraph || {};
+  return {
+    at,
+    id: fork.id,
+    stars: fork.stars,
+    forks: fork.forks,
+    description: fork.description,
+    topics: [...(fork.topics || [])].sort(),
+    articleHash: hashText(fork.summary),
+    quality: fork.quality ? fork.quality.score : null,
+    knowledgeGraph: {
+      files: Object.values(kg.directories || {}).reduce((a, b) => a + b, 0),
+      languages: Object.keys(kg.languages || {}).length,
+      entryPoints: (kg.entryPoints || []).length,
+      packages: (kg.packages || []).length
+    }
+  };
+}
+
+function historyFile(name, dir = HISTORY_DIR) {
+  return path.join(dir, `${name}.jsonl`);
+}
+
+function readHistory(name, dir = HISTORY_DIR) {
+  const file = historyFile(name, dir);
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+function sameSnapshot(a, b) {
+  const { at: _a, ...restA } = a;
+  const { at: _b, ...restB } = b;
+  return JSON.stringify(restA) === JSON.stringify(restB);
+}
+
+// Returns { appended, removed } counts
+function appendSnapshots(forks, at, dir = HISTORY_DIR) {
+  fs.mkdirSync(dir, { recursive: true });
+  let appended = 0;
+  let removed = 0;
+
+  const current = new Set();
+  for (const fork of forks) {
+    current.add(fork.name);
+    const snapshot = snapshotOf(fork, at);
+    const history = readHistory(fork.name, dir);
+    const last = history[history.length - 1];
+    if (last && sameSnapshot(last, snapshot)) continue;
+    fs.appendFileSync(historyFile(fork.name, dir), JSON.stringify(snapshot) + '\n');
+    appended++;
+  }
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.jsonl')) continue;
+    const name = file.slice(0, -'.jsonl'.length);
+    if (current.has(name)) continue;
+    const history = readHistory(name, dir);
+    if (history.length > 0 && history[history.length - 1].removed) continue;
+    fs.appendFileSync(historyFile(name, dir), JSON.stringify({ at, removed: true }) + '\n');
+    removed++;
+  }
+
+  return { appended, removed };
+}
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+// Human-readable differences between two snapshots of one repo
+function diffSnapshots(before, after) {
+  if (after.removed) return ['removed from the portfolio'];
+  if (!before || before.removed) return [before ? 'back in the portfolio' : 'new project'];
+
+  const changes = [];
+  if (after.stars !== before.stars) {
+    changes.push(`stars ${before.stars} → ${after.stars} (${signed(after.stars - before.stars)})`);
+  }
+  if (after.forks !== before.forks) {
+    changes.push(`forks ${before.forks} → ${after.forks}`);
+  }
+  if (after.description !== before.description) {
+    changes.push(`description changed to "${after.description}"`);
+  }
+  const added = after.topics.filter(t => !before.topics.includes(t));
+  const dropped = before.topics.filter(t => !after.topics.includes(t));
+  if (added.length > 0) changes.push(`topics added: ${added.join(', ')}`);
+  if (dropped.length > 0) changes.push(`topics removed: ${dropped.join(', ')}`);
+  if (after.articleHash !== before.articleHash) {
+    const score = after.quality !== null ? ` (quality ${before.quality ?? '?'} → ${after.quality})` : '';
+    changes.push(`article rewritten${score}`);
+  }
+  const kgBefore = before.knowledgeGraph || {};
+  const kgAfter = after.knowledgeGraph || {};
+  if (kgAfter.files !== kgBefore.files) {
+    changes.push(`files ${kgBefore.files} → ${kgAfter.files}`);
+  }
+  if (kgAfter.packages !== kgBefore.packages) {
+    changes.push(`dependencies ${kgBefore.packages} → ${kgAfter.packages}`);
+  }
+  return changes;
+}
+
+// Latest run timestamp across every history file
+function lastRunAt(dir = HISTORY_DIR) {
+  if (!fs.existsSync(dir)) return null;
+  let latest = null;
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.jsonl')) continue;
+    const history = readHistory(file.slice(0, -'.jsonl'.length), dir);
+    const at = history.length > 0 ? history[history.length - 1].at : null;
+    if (at && (!latest || at > latest)) latest = at;
+  }
+  return latest;
+}
+
+// Changes recorded at or after `since` (an ISO string), one entry per repo:
+// { name, at, changes }, newest first. Without `since`, only the last run.
+function buildChangelog({ since = null, dir = HISTORY_DIR } = {}) {
+  if (!fs.existsSync(dir)) return [];
+  const from = since || lastRunAt(dir);
+  if (!from) return [];
+
+  const entries = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.jsonl')) continue;
+    const name = file.slice(0, -'.jsonl'.length);
+    const history = readHistory(name, dir);
+    const firstNew = history.findIndex(s => s.at >= from);
+    if (firstNew === -1) continue;
+
+    const before = firstNew > 0 ? history[firstNew - 1] : null;
+    const after = history[history.length - 1];
+    const changes = diffSnapshots(before, after);
+    if (changes.length > 0) entries.push({ name, at: after.at, changes });
+  }
+  return entries.sort((a, b) => b.at.localeCompare(a.at) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  HISTORY_DIR,
+  snapshotOf,
+  readHistory,
+  appendSnapshots,
+  diffSnapshots,
+  buildChangelog
+};
@@ -0,0 +1,144 @@
+// Small JSON Schema (draft-07 subset) validator, enough for the schemas in
+// schemas/. Supports: type (including "integer" and type arrays), enum, const,
+// properties, required, additionalProperties, items, minItems, maxItems,
+// minimum, maximum, minLength, maxLength, pattern, format (date-time, date,
+// uri), anyOf, and local $ref ("#/definitions/...").
+//
+// validate() returns a list of { path, message } where path is a JSON pointer
+// into the data, e.g. "/forks/12/updatedAt".
+
+const formats = {
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(new Date(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value)),
+  uri: value => {
+    try {
+      new URL(value);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && isFinite(value);
+  return typeOf(value) === type;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref "${ref}"`);
+  return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function validateNode(value, schema, root, path, errors) {
+  if (schema.$ref) {
+    return validateNode(value, resolveRef(root, schema.$ref), root, path, errors);
+  }
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validateNode(value, option, root, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matched) errors.push({ path, message: 'does not match any allowed shape' });
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format && formats[schema.format] && !formats[schema.format](value)) {
+      errors.push({ path, message: `must be a valid ${schema.format}, got ${JSON.stringify(value.slice(0, 40))}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, root, `${path}/${i}`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: `${path}/${escapePointer(key)}`, message: 'is required' });
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (properties[key]) {
+        validateNode(child, properties[key], root, childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, root, childPath, errors);
+      }
+    }
+  }
+}
+
+function validate(value, schema) {
+  const errors = [];
+  validateNode(value, schema, schema, '', errors);
+  return errors;
+}
+
+// One line per error, capped so a badly broken file stays readable
+function formatErrors(errors, limit = 20) {
+  const lines = errors.slice(0, limit).map(e => `  ${e.path || '/'} ${e.message}`);
+  if (errors.length > limit) lines.push(`  ...and ${errors.length - limit} more`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  validate,
+  formatErrors
+};
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, formatErrors } = require('./json-schema');
+
+const repoSchema = {
+  type: 'object',
+  required: ['name', 'stars'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 10, pattern: '^[a-z-]+$' },
+    stars: { type: 'integer', minimum: 0 },
+    language: { type: ['string', 'null'] },
+    updatedAt: { type: 'string', format: 'date-time' },
+    url: { type: 'string', format: 'uri' },
+    state: { enum: ['ahead', 'behind'] },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+  }
+};
+
+test('accepts a value that matches the schema', () => {
+  assert.deepEqual(validate({
+    name: 'tree',
+    stars: 3,
+    language: null,
+    updatedAt: '2026-02-16T00:00:00Z',
+    url: 'https://github.com/a/tree',
+    state: 'ahead',
+    tags: ['cli']
+  }, repoSchema), []);
+});
+
+test('reports each problem with a JSON pointer to it', () => {
+  const errors = validate({
+    name: 'Tree!',
+    stars: 1.5,
+    updatedAt: 'February 16, 2026',
+    url: 'not a url',
+    state: 'diverged',
+    tags: ['a', 2, 'c'],
+    extra: true
+  }, repoSchema);
+  assert.deepEqual(errors, [
+    { path: '/name', message: 'must match ^[a-z-]+$' },
+    { path: '/stars', message: 'expected integer, got number' },
+    { path: '/updatedAt', message: 'must be a valid date-time, got "February 16, 2026"' },
+    { path: '/url', message: 'must be a valid uri, got "not a url"' },
+    { path: '/state', message: 'must be one of "ahead", "behind"' },
+    { path: '/tags', message: 'must have at most 2 items' },
+    { path: '/tags/1', message: 'expected string, got number' },
+    { path: '/extra', message: 'is not an allowed property' }
+  ]);
+});
+
+test('reports missing required properties and length bounds', () => {
+  assert.deepEqual(validate({ name: '' }, repoSchema), [
+    { path: '/stars', message: 'is required' },
+    { path: '/name', message: 'must be at least 1 characters' },
+    { path: '/name', message: 'must match ^[a-z-]+$' }
+  ]);
+  assert.deepEqual(validate({ name: 'abcdefghijk', stars: -1 }, repoSchema), [
+    { path: '/name', message: 'must be at most 10 characters' },
+    { path: '/stars', message: 'must be >= 0' }
+  ]);
+});
+
+test('stops at a type mismatch instead of checking the rest', () => {
+  assert.deepEqual(validate([], repoSchema), [{ path: '', message: 'expected object, got array' }]);
+  assert.equal(formatErrors(validate([], repoSchema)), '  / expected object, got array');
+});
+
+test('follows local $refs and anyOf', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      forks: { type: 'array', items: { $ref: '#/definitions/fork' } }
+    },
+    definitions: {
+      fork: {
+        anyOf: [
+          { type: 'object', required: ['name'] },
+          { type: 'string', const: 'placeholder' }
+        ]
+      }
+    }
+  };
+  assert.deepEqual(validate({ forks: [{ name: 'a' }, 'placeholder'] }, schema), []);
+  assert.deepEqual(validate({ forks: [{}, 'other'] }, schema), [
+    { path: '/forks/0', message: 'does not match any allowed shape' },
+    { path: '/forks/1', message: 'does not match any allowed shape' }
+  ]);
+  assert.throws(() => validate({}, { $ref: 'other.json#/a' }), /Unsupported \$ref/);
+});
+
+test('escapes "/" and "~" in pointer segments', () => {
+  const schema = { type: 'object', additionalProperties: { type: 'number' } };
+  assert.deepEqual(validate({ 'a/b~c': 'x' }, schema), [
+    { path: '/a~1b~0c', message: 'expected number, got string' }
+  ]);
+});
+
+test('formatErrors caps the list', () => {
+  const errors = Array.from({ length: 5 }, (_, i) => ({ path: `/forks/${i}`, message: 'is required' }));
+  assert.equal(formatErrors(errors, 2), [
+    '  /forks/0 is required',
+    '  /forks/1 is required',
+    '  ...and 3 more'
+  ].join('\n'));
+});
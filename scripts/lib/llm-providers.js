@@ -0,0 +1,310 @@
+// LLM provider layer for article generation.
+//
+// Every provider exposes the same shape so update-forks.js can rotate models
+// without knowing which backend it is talking to:
+//   { name, label, models, maxTokens, temperature, isConfigured(), complete() }
+// complete() resolves to { content, usage } or throws a ProviderError whose
+// `kind` is one of: rate_limit, auth, model_unavailable, bad_request, server,
+// network, empty. createProvider throws one of kind `config` for a provider
+// name or type it doesn't know.
+
+class ProviderError extends Error {
+  constructor(message, { kind = 'unknown', status = null, provider = null, model = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.kind = kind;
+    this.status = status;
+    this.provider = provider;
+    this.model = model;
+  }
+}
+
+// Map an HTTP status from an OpenAI-style API to a ProviderError kind
+function kindFromStatus(status) {
+  if (status === 429) return 'rate_limit';
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 404) return 'model_unavailable';
+  if (status >= 500) return 'server';
+  return 'bad_request';
+}
+
+// Comma-separated model list from the environment, if one was given
+function modelsFromEnv() {
+  const raw = process.env.LLM_MODELS;
+  if (!raw) return null;
+  const models = raw.split(',').map(m => m.trim()).filter(Boolean);
+  return models.length > 0 ? models : null;
+}
+
+async function postJson(url, { headers, body, timeoutMs, provider, model }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    throw new ProviderError(`${provider} request failed: ${error.message}`, { kind: 'network', provider, model });
+  }
+  return response;
+}
+
+// Any server that speaks the OpenAI /chat/completions protocol: OpenAI itself,
+// GitHub Models, llama.cpp, vLLM, LM Studio...
+function createOpenAICompatibleProvider(name, options) {
+  const apiKey = options.apiKey || null;
+  const url = options.endpoint || `${options.baseUrl.replace(/\/$/, '')}/chat/completions`;
+  const mapStatus = options.mapStatus || kindFromStatus;
+
+  return {
+    name,
+    label: options.label || name,
+    models: modelsFromEnv() || options.models,
+    maxTokens: options.maxTokens,
+    temperature: options.temperature,
+
+    isConfigured() {
+      return !options.requiresKey || Boolean(apiKey);
+    },
+
+    async complete({ model, messages, maxTokens, temperature }) {
+      const response = await postJson(url, {
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {},
+        body: {
+          model,
+          messages,
+          max_tokens: maxTokens || this.maxTokens,
+          temperature: temperature ?? this.temperature
+        },
+        timeoutMs: options.timeoutMs,
+        provider: name,
+        model
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new ProviderError(`${model} returned ${response.status}: ${errorText.slice(0, 80)}`, {
+          kind: mapStatus(response.status, errorText),
+          status: response.status,
+          provider: name,
+          model
+        });
+      }
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content?.trim();
+      if (!content) {
+        throw new ProviderError(`${model} returned an empty completion`, { kind: 'empty', provider: name, model });
+      }
+
+      return {
+        content,
+        usage: {
+          promptTokens: data.usage?.prompt_tokens ?? null,
+          completionTokens: data.usage?.completion_tokens ?? null
+        }
+      };
+    }
+  };
+}
+
+// GitHub Models: OpenAI-compatible, authenticated with the GitHub token.
+// Exhausted daily quotas sometimes come back as 403 rather than 429.
+function createGitHubModelsProvider(name, options) {
+  return createOpenAICompatibleProvider(name, {
+    ...options,
+    requiresKey: true,
+    mapStatus: (status, body) => {
+      if (status === 403 && /rate limit|too many requests/i.test(body)) return 'rate_limit';
+      return kindFromStatus(status);
+    }
+  });
+}
+
+// Ollama's native /api/chat endpoint (no auth, options nested differently)
+function createOllamaProvider(name, options) {
+  const url = `${options.baseUrl.replace(/\/$/, '')}/api/chat`;
+
+  return {
+    name,
+    label: options.label || name,
+    models: modelsFromEnv() || options.models,
+    maxTokens: options.maxTokens,
+    temperature: options.temperature,
+
+    isConfigured() {
+      return true;
+    },
+
+    async complete({ model, messages, maxTokens, temperature }) {
+      const response = await postJson(url, {
+        headers: {},
+        body: {
+          model,
+          messages,
+          stream: false,
+          options: {
+            num_predict: maxTokens || this.maxTokens,
+            temperature: temperature ?? this.temperature
+          }
+        },
+        timeoutMs: options.timeoutMs,
+        provider: name,
+        model
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        // Ollama answers 404 when the model has not been pulled locally
+        throw new ProviderError(`${model} returned ${response.status}: ${errorText.slice(0, 80)}`, {
+          kind: kindFromStatus(response.status),
+          status: response.status,
+          provider: name,
+          model
+        });
+      }
+
+      const data = await response.json();
+      const content = data.message?.content?.trim();
+      if (!content) {
+        throw new ProviderError(`${model} returned an empty completion`, { kind: 'empty', provider: name, model });
+      }
+
+      return {
+        content,
+        usage: {
+          promptTokens: data.prompt_eval_count ?? null,
+          completionTokens: data.eval_count ?? null
+        }
+      };
+    }
+  };
+}
+
+// Deterministic offline provider: builds an article from the prompt itself.
+// Useful for tests and for iterating on the pipeline without a model.
+// Usage is null, as from a backend that doesn't report token counts.
+function createStubProvider(name, options) {
+  return {
+    name,
+    label: options.label || name,
+    models: options.models,
+    maxTokens: options.maxTokens,
+    temperature: options.temperature,
+
+    isConfigured() {
+      return true;
+    },
+
+    async complete({ messages }) {
+      const prompt = messages[messages.length - 1].content;
+      const field = (label) => {
+        const match = prompt.match(new RegExp(`^${label}: (.+)$`, 'm'));
+        return match ? match[1].trim() : '';
+      };
+      // Translation prompts (lib/translation.js) get the article back with
+      // every heading and paragraph tagged with the locale code
+      const translateTo = /^TRANSLATE TO: .+\((.+)\)$/m.exec(prompt);
+      if (translateTo) {
+        const tag = `[${translateTo[1]}]`;
+        const article = (/^ARTICLE:\n([\s\S]*?)\n\nRULES:/m.exec(prompt) || [])[1] || '';
+        const translated = article.split('\n\n')
+          .map(block => (block.startsWith('## ') ? `## ${tag} ${block.slice(3)}` : block.startsWith('```') ? block : `${tag} ${block}`))
+          .join('\n\n');
+        const content = `TITLE: ${tag} ${field('TITLE')}\nDESCRIPTION: ${tag} ${field('DESCRIPTION')}\nARTICLE:\n${translated}`;
+        return { content, usage: { promptTokens: null, completionTokens: null } };
+      }
+
+      const repoName = field('REPOSITORY') || 'this repository';
+      const description = field('DESCRIPTION') || 'No description';
+      const language = field('PRIMARY LANGUAGE') || 'Not specified';
+
+      const sections = [
+        '## The Problem',
+        '',
+        `Anyone who has needed what \`${repoName}\` offers knows the setup is the slow part. ${description}`,
+        'Most people end up stitching scripts together by hand and hoping nothing drifts.',
+        '',
+        '## What This Does',
+        '',
+        `\`${repoName}\` is written mostly in ${language}. The README explains the moving parts, and the entry points listed in the file structure are where to start reading.`,
+        'Configuration lives next to the code, so you can see what each option changes without digging through docs.',
+        '',
+        'Tests and examples sit alongside the source. Reading one example end to end tells you more than the feature list does.',
+        '',
+        '## Real-World Use',
+        '',
+        `Clone \`${repoName}\`, follow the README, and run it against a small sample before wiring it into anything larger.`,
+        'Once the sample works, swap in your own data and keep an eye on the logs for the first few runs.',
+        'If something breaks, the issue tracker usually has a workaround already.',
+        '',
+        '## The Bottom Line',
+        '',
+        'A stub article generated offline so the pipeline can run without a model.',
+        'Swap in a real provider to get an actual review of the code, with opinions and specific file references.',
+        'Until then, treat every word here as a placeholder and nothing more.'
+      ].join('\n');
+
+      // Prompts asking for the JSON article (prompts/partials/output.md) get
+      // the same text split into its sections
+      if (messages.some(m => m.content.includes('"tldr"'))) {
+        const content = JSON.stringify({
+          title: `A first look at ${repoName}`,
+          tldr: `${repoName} in one sentence: ${description}`.slice(0, 160),
+          sections: sections.split(/^## /m).filter(Boolean).map(block => {
+            const [heading, ...body] = block.split('\n');
+            return { heading, body: body.join('\n').trim() };
+          }),
+          tags: [language.toLowerCase().replace(/\s+/g, '-'), 'stub'],
+          audience: 'Anyone testing the pipeline offline',
+          difficulty: 'beginner'
+        }, null, 2);
+        return { content, usage: { promptTokens: null, completionTokens: null } };
+      }
+
+      return { content: sections, usage: { promptTokens: null, completionTokens: null } };
+    }
+  };
+}
+
+const factories = {
+  'github-models': createGitHubModelsProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  ollama: createOllamaProvider,
+  stub: createStubProvider
+};
+
+// Build the provider named `name` from the `providers` map in CONFIG.llm.
+// Per-provider settings win over the shared maxTokens/temperature defaults.
+function createProvider(name, llmConfig) {
+  const options = llmConfig.providers[name];
+  if (!options) {
+    const known = Object.keys(llmConfig.providers).join(', ');
+    throw new ProviderError(`Unknown LLM provider "${name}" (available: ${known})`, { kind: 'config', provider: name });
+  }
+
+  const factory = factories[options.type];
+  if (!factory) {
+    throw new ProviderError(`LLM provider "${name}" has unknown type "${options.type}"`, { kind: 'config', provider: name });
+  }
+
+  return factory(name, {
+    maxTokens: llmConfig.maxTokens,
+    temperature: llmConfig.temperature,
+    timeoutMs: llmConfig.timeoutMs,
+    ...options
+  });
+}
+
+// Human-readable provider description for the generatedWith field
+function describeProvider(provider) {
+  return `${provider.label} (${provider.models.join(', ')})`;
+}
+
+module.exports = {
+  ProviderError,
+  createProvider,
+  describeProvider
+};
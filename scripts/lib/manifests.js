@@ -0,0 +1,342 @@
+// Dependency manifest parsing. buildKnowledgeGraph used to record only that a
+// package.json or go.mod existed; these parsers turn the file contents into
+// declared packages: { name, version, ecosystem, dev, manifest }.
+//
+// `version` is the spec as written (^4.18.0, >=2, v1.8.0) or null when the
+// manifest doesn't pin one. `dev` marks test/build-only dependencies.
+
+// --- Minimal TOML -----------------------------------------------------------
+// Enough for Cargo.toml and pyproject.toml: tables, dotted and quoted keys,
+// strings, numbers, booleans, arrays (multi-line) and inline tables. Arrays of
+// tables ([[bin]]) are parsed but not needed by the callers.
+
+function parseToml(text) {
+  const root = {};
+  let table = root;
+  let i = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, i).split('\n').length;
+    throw new Error(`TOML line ${line}: ${message}`);
+  };
+
+  const skipSpaces = () => {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+  };
+  const skipComment = () => {
+    if (text[i] === '#') while (i < text.length && text[i] !== '\n') i++;
+  };
+  // Whitespace, newlines and comments (inside arrays and between statements)
+  const skipBlank = () => {
+    while (i < text.length) {
+      skipSpaces();
+      skipComment();
+      if (text[i] === '\n' || text[i] === '\r') i++;
+      else break;
+    }
+  };
+
+  const parseString = () => {
+    const quote = text[i];
+    if (text.startsWith(quote.repeat(3), i)) {
+      const end = text.indexOf(quote.repeat(3), i + 3);
+      if (end === -1) fail('unterminated multi-line string');
+      const value = text.slice(i + 3, end).replace(/^\r?\n/, '');
+      i = end + 3;
+      return value;
+    }
+    i++;
+    let value = '';
+    while (text[i] !== quote) {
+      if (i >= text.length || text[i] === '\n') fail('unterminated string');
+      if (quote === '"' && text[i] === '\\') {
+        const escaped = text[i + 1];
+        value += { n: '\n', t: '\t', '"': '"', '\\': '\\' }[escaped] ?? escaped;
+        i += 2;
+      } else {
+        value += text[i++];
+      }
+    }
+    i++;
+    return value;
+  };
+
+  const parseKey = () => {
+    const parts = [];
+    for (;;) {
+      skipSpaces();
+      if (text[i] === '"' || text[i] === '\'') {
+        parts.push(parseString());
+      } else {
+        const match = /^[A-Za-z0-9_-]+/.exec(text.slice(i));
+        if (!match) fail('expected a key');
+        parts.push(match[0]);
+        i += match[0].length;
+      }
+      skipSpaces();
+      if (text[i] !== '.') return parts;
+      i++;
+    }
+  };
+
+  const setPath = (target, parts, value) => {
+    let node = target;
+    for (const part of parts.slice(0, -1)) {
+      if (typeof node[part] !== 'object' || node[part] === null) node[part] = {};
+      node = node[part];
+    }
+    node[parts[parts.length - 1]] = value;
+  };
+
+  const parseValue = () => {
+    skipSpaces();
+    const ch = text[i];
+    if (ch === '"' || ch === '\'') return parseString();
+    if (ch === '[') {
+      i++;
+      const items = [];
+      for (;;) {
+        skipBlank();
+        if (text[i] === ']') { i++; return items; }
+        items.push(parseValue());
+        skipBlank();
+        if (text[i] === ',') i++;
+        else if (text[i] !== ']') fail('expected , or ] in array');
+      }
+    }
+    if (ch === '{') {
+      i++;
+      const inline = {};
+      skipSpaces();
+      if (text[i] === '}') { i++; return inline; }
+      for (;;) {
+        const key = parseKey();
+        if (text[i] !== '=') fail('expected = in inline table');
+        i++;
+        setPath(inline, key, parseValue());
+        skipSpaces();
+        if (text[i] === ',') { i++; continue; }
+        if (text[i] === '}') { i++; return inline; }
+        fail('expected , or } in inline table');
+      }
+    }
+    const match = /^[^\s,\]}#]+/.exec(text.slice(i));
+    if (!match) fail('expected a value');
+    i += match[0].length;
+    if (match[0] === 'true') return true;
+    if (match[0] === 'false') return false;
+    const number = Number(match[0].replace(/_/g, ''));
+    return isNaN(number) ? match[0] : number; // Dates stay strings
+  };
+
+  for (;;) {
+    skipBlank();
+    if (i >= text.length) return root;
+
+    if (text[i] === '[') {
+      const arrayTable = text[i + 1] === '[';
+      i += arrayTable ? 2 : 1;
+      const parts = parseKey();
+      if (text[i] !== ']' || (arrayTable && text[i + 1] !== ']')) fail('unterminated table header');
+      i += arrayTable ? 2 : 1;
+
+      let node = root;
+      for (const part of parts.slice(0, -1)) {
+        node[part] = node[part] || {};
+        node = Array.isArray(node[part]) ? node[part][node[part].length - 1] : node[part];
+      }
+      const last = parts[parts.length - 1];
+      if (arrayTable) {
+        node[last] = node[last] || [];
+        node[last].push({});
+        table = node[last][node[last].length - 1];
+      } else {
+        node[last] = node[last] || {};
+        table = node[last];
+      }
+    } else {
+      const key = parseKey();
+      if (text[i] !== '=') fail('expected =');
+      i++;
+      setPath(table, key, parseValue());
+    }
+
+    skipSpaces();
+    skipComment();
+    if (i < text.length && text[i] !== '\n' && text[i] !== '\r') fail('unexpected text after value');
+  }
+}
+
+// --- Ecosystem parsers ------------------------------------------------------
+
+// PEP 508 requirement: "fastapi[all]>=0.100; python_version>'3.8'"
+function parsePep508(requirement) {
+  const spec = requirement.split(';')[0].trim();
+  const match = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(?:@\s*(\S+)|(.*))$/.exec(spec);
+  if (!match) return null;
+  const version = (match[3] || match[4] || '').replace(/^\(|\)$/g, '').trim();
+  return { name: match[1], version: version || null };
+}
+
+function parsePackageJson(text) {
+  const pkg = JSON.parse(text);
+  const packages = [];
+  const groups = [
+    ['dependencies', false],
+    ['peerDependencies', false],
+    ['optionalDependencies', false],
+    ['devDependencies', true]
+  ];
+  for (const [field, dev] of groups) {
+    for (const [name, version] of Object.entries(pkg[field] || {})) {
+      packages.push({ name, version: String(version) || null, dev });
+    }
+  }
+  return packages;
+}
+
+function parseRequirementsTxt(text, path) {
+  const dev = /(dev|test)/i.test(path.split('/').pop());
+  return text.split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('-') && !/^[a-z+]+:\/\//i.test(line))
+    .map(parsePep508)
+    .filter(Boolean)
+    .map(req => ({ ...req, dev }));
+}
+
+const DEV_GROUP = /^(dev|test|tests|testing|lint|docs?|typing)$/i;
+
+function parsePyprojectToml(text) {
+  const data = parseToml(text);
+  const packages = [];
+  const addRequirements = (list, dev) => {
+    for (const entry of list || []) {
+      if (typeof entry !== 'string') continue; // {include-group = ...}
+      const req = parsePep508(entry);
+      if (req) packages.push({ ...req, dev });
+    }
+  };
+  const addPoetry = (table, dev) => {
+    for (const [name, spec] of Object.entries(table || {})) {
+      if (name.toLowerCase() === 'python') continue;
+      const version = typeof spec === 'string' ? spec : (spec && spec.version) || null;
+      packages.push({ name, version, dev });
+    }
+  };
+
+  // PEP 621
+  const project = data.project || {};
+  addRequirements(project.dependencies, false);
+  for (const [group, list] of Object.entries(project['optional-dependencies'] || {})) {
+    addRequirements(list, DEV_GROUP.test(group));
+  }
+  // PEP 735 groups are never installed with the package
+  for (const list of Object.values(data['dependency-groups'] || {})) {
+    addRequirements(list, true);
+  }
+  // Poetry
+  const poetry = (data.tool && data.tool.poetry) || {};
+  addPoetry(poetry.dependencies, false);
+  addPoetry(poetry['dev-dependencies'], true);
+  for (const [group, table] of Object.entries(poetry.group || {})) {
+    addPoetry(table.dependencies, group !== 'main');
+  }
+  return packages;
+}
+
+function parseCargoToml(text) {
+  const data = parseToml(text);
+  const packages = [];
+  const addTable = (table, dev) => {
+    for (const [name, spec] of Object.entries(table || {})) {
+      const version = typeof spec === 'string' ? spec : (spec && spec.version) || null;
+      packages.push({ name: (spec && spec.package) || name, version, dev });
+    }
+  };
+  const addSections = (section) => {
+    addTable(section.dependencies, false);
+    addTable(section['build-dependencies'], false);
+    addTable(section['dev-dependencies'], true);
+  };
+
+  addSections(data);
+  for (const target of Object.values(data.target || {})) addSections(target);
+  // Workspace roots declare shared versions
+  if (data.workspace) addTable(data.workspace.dependencies, false);
+  return packages;
+}
+
+// Direct requirements only; `// indirect` lines are transitive
+function parseGoMod(text) {
+  const packages = [];
+  let inBlock = false;
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+    if (inBlock) {
+      if (line.startsWith(')')) { inBlock = false; continue; }
+    } else if (/^require\s*\($/.test(line)) {
+      inBlock = true;
+      continue;
+    } else if (!line.startsWith('require ')) {
+      continue;
+    }
+    if (line.includes('// indirect')) continue;
+    const match = /^(?:require\s+)?(\S+)\s+(v\S+)/.exec(line.replace(/\/\/.*$/, '').trim());
+    if (match) packages.push({ name: match[1], version: match[2], dev: false });
+  }
+  return packages;
+}
+
+// `match` gets the lowercased file name; it also covers requirements-dev.txt etc.
+const MANIFESTS = [
+  { ecosystem: 'npm', match: name => name === 'package.json', parse: parsePackageJson },
+  { ecosystem: 'pypi', match: name => /^(?:[\w-]+-)?requirements(?:-[\w-]+)?\.txt$/.test(name), parse: parseRequirementsTxt },
+  { ecosystem: 'pypi', match: name => name === 'pyproject.toml', parse: parsePyprojectToml },
+  { ecosystem: 'go', match: name => name === 'go.mod', parse: parseGoMod },
+  { ecosystem: 'cargo', match: name => name === 'cargo.toml', parse: parseCargoToml }
+];
+
+function manifestFor(path) {
+  const name = path.split('/').pop().toLowerCase();
+  return MANIFESTS.find(m => m.match(name)) || null;
+}
+
+// Manifest paths in a file tree, shallowest first, skipping vendored copies
+function findManifests(fileTree, limit = 5) {
+  return fileTree
+    .filter(path => manifestFor(path) && !/(^|\/)(node_modules|vendor|third_party|examples?)\//.test(path))
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b))
+    .slice(0, limit);
+}
+
+// Throws on malformed JSON/TOML; callers decide whether to skip the file
+function parseManifest(path, text) {
+  const manifest = manifestFor(path);
+  if (!manifest) return [];
+  return manifest.parse(text, path).map(pkg => ({
+    name: pkg.name,
+    version: pkg.version || null,
+    ecosystem: manifest.ecosystem,
+    dev: pkg.dev,
+    manifest: path
+  }));
+}
+
+// One entry per ecosystem + name; a runtime declaration wins over a dev one
+function mergePackages(packages) {
+  const byKey = new Map();
+  for (const pkg of packages) {
+    const key = `${pkg.ecosystem}:${pkg.name.toLowerCase()}`;
+    const seen = byKey.get(key);
+    if (!seen || (seen.dev && !pkg.dev)) byKey.set(key, pkg);
+  }
+  return [...byKey.values()];
+}
+
+module.exports = {
+  parseToml,
+  findManifests,
+  parseManifest,
+  mergePackages
+};
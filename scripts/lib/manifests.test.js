@@ -0,0 +1,219 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseToml, findManifests, parseManifest, mergePackages } = require('./manifests');
+
+// [name, version, dev] per package, which is what most cases check
+function summary(packages) {
+  return packages.map(p => [p.name, p.version, p.dev]);
+}
+
+test('parseToml reads tables, dotted keys, arrays and inline tables', () => {
+  const data = parseToml([
+    '# comment',
+    'title = "demo" # trailing comment',
+    'count = 1_000',
+    'enabled = true',
+    'released = 2024-01-02',
+    '',
+    '[package]',
+    'name = \'tree\'',
+    'meta.license = "MIT"',
+    'keywords = [',
+    '  "cli", # first',
+    '  "git",',
+    ']',
+    '',
+    '[dependencies]',
+    'serde = { version = "1.0", features = ["derive"] }',
+    '"quoted.key" = "x"',
+    '',
+    '[[bin]]',
+    'name = "a"',
+    '[[bin]]',
+    'name = "b"',
+    '',
+    'notes = """',
+    'two',
+    'lines"""'
+  ].join('\n'));
+
+  assert.deepEqual(data, {
+    title: 'demo',
+    count: 1000,
+    enabled: true,
+    released: '2024-01-02',
+    package: { name: 'tree', meta: { license: 'MIT' }, keywords: ['cli', 'git'] },
+    dependencies: {
+      serde: { version: '1.0', features: ['derive'] },
+      'quoted.key': 'x'
+    },
+    bin: [{ name: 'a' }, { name: 'b', notes: 'two\nlines' }]
+  });
+});
+
+test('parseToml reports the line of a syntax error', () => {
+  assert.throws(() => parseToml('a = 1\nb = "open\n'), /TOML line 2: unterminated string/);
+  assert.throws(() => parseToml('a = 1 2'), /TOML line 1: unexpected text after value/);
+  assert.throws(() => parseToml('[table\n'), /unterminated table header/);
+});
+
+test('package.json: runtime, peer, optional and dev dependencies', () => {
+  const packages = parseManifest('web/package.json', JSON.stringify({
+    dependencies: { express: '^4.18.0' },
+    peerDependencies: { react: '>=18' },
+    optionalDependencies: { fsevents: '2.3.3' },
+    devDependencies: { jest: '^29.0.0' }
+  }));
+  assert.deepEqual(summary(packages), [
+    ['express', '^4.18.0', false],
+    ['react', '>=18', false],
+    ['fsevents', '2.3.3', false],
+    ['jest', '^29.0.0', true]
+  ]);
+  assert.deepEqual(packages[0], {
+    name: 'express',
+    version: '^4.18.0',
+    ecosystem: 'npm',
+    dev: false,
+    manifest: 'web/package.json'
+  });
+});
+
+test('requirements.txt: PEP 508 specs, with options, URLs and comments skipped', () => {
+  const text = [
+    '# pinned',
+    'fastapi[all]>=0.100 ; python_version > "3.8"',
+    'requests==2.31.0  # http',
+    'numpy',
+    'torch @ https://download.pytorch.org/torch.whl',
+    '-r base.txt',
+    '--index-url https://pypi.org/simple',
+    'https://example.com/pkg.tar.gz',
+    ''
+  ].join('\n');
+  assert.deepEqual(summary(parseManifest('requirements.txt', text)), [
+    ['fastapi', '>=0.100', false],
+    ['requests', '==2.31.0', false],
+    ['numpy', null, false],
+    ['torch', 'https://download.pytorch.org/torch.whl', false]
+  ]);
+  assert.deepEqual(summary(parseManifest('requirements-dev.txt', 'pytest>=7')), [['pytest', '>=7', true]]);
+});
+
+test('pyproject.toml: PEP 621, dependency groups and Poetry', () => {
+  const text = [
+    '[project]',
+    'dependencies = ["httpx>=0.27", "pydantic"]',
+    '',
+    '[project.optional-dependencies]',
+    'test = ["pytest"]',
+    'server = ["uvicorn[standard]"]',
+    '',
+    '[dependency-groups]',
+    'lint = ["ruff", { include-group = "test" }]',
+    '',
+    '[tool.poetry.dependencies]',
+    'python = "^3.10"',
+    'rich = { version = "^13.0", optional = true }',
+    '',
+    '[tool.poetry.group.docs.dependencies]',
+    'mkdocs = "*"'
+  ].join('\n');
+  assert.deepEqual(summary(parseManifest('pyproject.toml', text)), [
+    ['httpx', '>=0.27', false],
+    ['pydantic', null, false],
+    ['pytest', null, true],
+    ['uvicorn', null, false],
+    ['ruff', null, true],
+    ['rich', '^13.0', false],
+    ['mkdocs', '*', true]
+  ]);
+});
+
+test('Cargo.toml: dependency tables, renames, targets and workspaces', () => {
+  const text = [
+    '[dependencies]',
+    'serde = "1.0"',
+    'tokio = { version = "1", features = ["full"] }',
+    'local = { path = "../local" }',
+    'json = { package = "serde_json", version = "1.0" }',
+    '',
+    '[dev-dependencies]',
+    'criterion = "0.5"',
+    '',
+    '[target.\'cfg(windows)\'.dependencies]',
+    'winapi = "0.3"',
+    '',
+    '[workspace.dependencies]',
+    'anyhow = "1"'
+  ].join('\n');
+  assert.deepEqual(summary(parseManifest('crates/core/Cargo.toml', text)), [
+    ['serde', '1.0', false],
+    ['tokio', '1', false],
+    ['local', null, false],
+    ['serde_json', '1.0', false],
+    ['criterion', '0.5', true],
+    ['winapi', '0.3', false],
+    ['anyhow', '1', false]
+  ]);
+});
+
+test('go.mod: direct requirements only', () => {
+  const text = [
+    'module example.com/tree',
+    '',
+    'go 1.22',
+    '',
+    'require github.com/spf13/cobra v1.8.0',
+    '',
+    'require (',
+    '\tgolang.org/x/sync v0.7.0',
+    '\tgithub.com/inconshreveable/mousetrap v1.1.0 // indirect',
+    ')'
+  ].join('\n');
+  assert.deepEqual(summary(parseManifest('go.mod', text)), [
+    ['github.com/spf13/cobra', 'v1.8.0', false],
+    ['golang.org/x/sync', 'v0.7.0', false]
+  ]);
+});
+
+test('parseManifest ignores unknown files and throws on malformed ones', () => {
+  assert.deepEqual(parseManifest('README.md', '# hi'), []);
+  assert.throws(() => parseManifest('package.json', '{'), SyntaxError);
+  assert.throws(() => parseManifest('Cargo.toml', '[dependencies\n'), /TOML line 1/);
+});
+
+test('findManifests: shallowest first, vendored copies skipped, capped', () => {
+  const tree = [
+    'src/index.js',
+    'web/package.json',
+    'package.json',
+    'node_modules/left-pad/package.json',
+    'examples/demo/package.json',
+    'vendor/lib/go.mod',
+    'requirements-test.txt',
+    'services/api/pyproject.toml',
+    'Cargo.toml'
+  ];
+  assert.deepEqual(findManifests(tree), [
+    'Cargo.toml',
+    'package.json',
+    'requirements-test.txt',
+    'web/package.json',
+    'services/api/pyproject.toml'
+  ]);
+  assert.deepEqual(findManifests(tree, 2), ['Cargo.toml', 'package.json']);
+});
+
+test('mergePackages keeps one entry per ecosystem and name, preferring runtime', () => {
+  const merged = mergePackages([
+    { name: 'pytest', version: '>=7', ecosystem: 'pypi', dev: true, manifest: 'requirements-dev.txt' },
+    { name: 'PyTest', version: null, ecosystem: 'pypi', dev: false, manifest: 'pyproject.toml' },
+    { name: 'pytest', version: '^7', ecosystem: 'npm', dev: true, manifest: 'package.json' },
+    { name: 'pytest', version: '8', ecosystem: 'pypi', dev: true, manifest: 'requirements-test.txt' }
+  ]);
+  assert.deepEqual(merged.map(p => [p.ecosystem, p.name, p.manifest]), [
+    ['pypi', 'PyTest', 'pyproject.toml'],
+    ['npm', 'pytest', 'package.json']
+  ]);
+});
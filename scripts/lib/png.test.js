@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { crc32, encodePng } = require('./png');
+
+// [{ type, data, crc }] for every chunk after the signature
+function readChunks(png) {
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    chunks.push({
+      type: png.toString('ascii', offset + 4, offset + 8),
+      data: png.subarray(offset + 8, offset + 8 + length),
+      crc: png.readUInt32BE(offset + 8 + length),
+      body: png.subarray(offset + 4, offset + 8 + length)
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+  // The IEND chunk's CRC every PNG ends with
+  assert.equal(crc32(Buffer.from('IEND')), 0xae426082);
+});
+
+test('encodePng writes the signature and IHDR, IDAT, IEND chunks', () => {
+  const png = encodePng(3, 2, new Uint8Array(3 * 2 * 3));
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+  const chunks = readChunks(png);
+  assert.deepEqual(chunks.map(c => c.type), ['IHDR', 'IDAT', 'IEND']);
+  for (const c of chunks) assert.equal(c.crc, crc32(c.body), `${c.type} CRC`);
+
+  const header = chunks[0].data;
+  assert.equal(header.length, 13);
+  assert.equal(header.readUInt32BE(0), 3);
+  assert.equal(header.readUInt32BE(4), 2);
+  assert.deepEqual([...header.subarray(8)], [8, 2, 0, 0, 0]);
+  assert.equal(chunks[2].data.length, 0);
+});
+
+test('IDAT holds each row behind a "none" filter byte', () => {
+  const pixels = new Uint8Array([
+    255, 0, 0, 0, 255, 0,
+    0, 0, 255, 10, 20, 30
+  ]);
+  const idat = readChunks(encodePng(2, 2, pixels)).find(c => c.type === 'IDAT');
+  assert.deepEqual([...zlib.inflateSync(idat.data)], [
+    0, 255, 0, 0, 0, 255, 0,
+    0, 0, 0, 255, 10, 20, 30
+  ]);
+});
+
+test('encodePng reads rows from a view into a larger buffer', () => {
+  const backing = new Uint8Array(4 + 3);
+  backing.set([1, 2, 3], 4);
+  const idat = readChunks(encodePng(1, 1, backing.subarray(4))).find(c => c.type === 'IDAT');
+  assert.deepEqual([...zlib.inflateSync(idat.data)], [0, 1, 2, 3]);
+});
@@ -0,0 +1,76 @@
+// Bounded concurrency for the pipeline's GitHub and AI calls.
+//
+// mapPool runs a function over a list with a fixed number of workers. Items
+// start in list order, so anything a call does before its first await (taking
+// from a per-run budget, say) happens in that order too, and results come
+// back in list order however the calls finish. A failed item never stops the
+// others: each result is settled, like Promise.allSettled.
+//
+// createLimiter caps calls to one service from anywhere in the run: at most
+// `concurrency` at once, started at least `minIntervalMs` apart.
+
+// [{ ok: true, value } | { ok: false, error }] in the order of `items`
+async function mapPool(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { ok: true, value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { ok: false, error };
+      }
+    }
+  }
+
+  const workers = Math.min(Math.max(1, concurrency), items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+// Returns limit(task): runs task() when a slot is free and the interval since
+// the last start has passed, in the order tasks were handed in
+function createLimiter({ concurrency = 1, minIntervalMs = 0 } = {}) {
+  const queue = [];
+  let active = 0;
+  let lastStart = 0;
+  let timer = null;
+
+  function pump() {
+    if (timer) return;
+    while (active < concurrency && queue.length > 0) {
+      const wait = lastStart + minIntervalMs - Date.now();
+      if (wait > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          pump();
+        }, wait);
+        return;
+      }
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      lastStart = Date.now();
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+  }
+
+  return function limit(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      pump();
+    });
+  };
+}
+
+module.exports = {
+  mapPool,
+  createLimiter
+};
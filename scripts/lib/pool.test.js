@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mapPool, createLimiter } = require('./pool');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapPool returns settled results in input order', async () => {
+  const results = await mapPool([30, 10, 20], 3, async (ms, index) => {
+    await sleep(ms);
+    if (index === 1) throw new Error('second failed');
+    return ms * 2;
+  });
+  assert.equal(results.length, 3);
+  assert.deepEqual(results[0], { ok: true, value: 60 });
+  assert.equal(results[1].ok, false);
+  assert.equal(results[1].error.message, 'second failed');
+  assert.deepEqual(results[2], { ok: true, value: 40 });
+});
+
+test('mapPool runs at most `concurrency` items at once and starts them in order', async () => {
+  let active = 0;
+  let peak = 0;
+  const started = [];
+  await mapPool([1, 2, 3, 4, 5, 6], 2, async item => {
+    started.push(item);
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(5);
+    active--;
+  });
+  assert.equal(peak, 2);
+  assert.deepEqual(started, [1, 2, 3, 4, 5, 6]);
+});
+
+test('mapPool handles an empty list and a concurrency below 1', async () => {
+  assert.deepEqual(await mapPool([], 4, async () => 1), []);
+  assert.deepEqual(await mapPool(['a', 'b'], 0, async item => item), [
+    { ok: true, value: 'a' },
+    { ok: true, value: 'b' }
+  ]);
+});
+
+test('createLimiter caps concurrency across callers and passes results through', async () => {
+  const limit = createLimiter({ concurrency: 2 });
+  let active = 0;
+  let peak = 0;
+  const task = value => async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(5);
+    active--;
+    if (value === 'bad') throw new Error('rejected');
+    return value;
+  };
+  const results = await Promise.allSettled(['a', 'bad', 'c', 'd'].map(value => limit(task(value))));
+  assert.equal(peak, 2);
+  assert.deepEqual(results.map(r => r.value ?? r.reason.message), ['a', 'rejected', 'c', 'd']);
+});
+
+test('createLimiter spaces task starts by minIntervalMs, in hand-in order', async () => {
+  const limit = createLimiter({ concurrency: 3, minIntervalMs: 40 });
+  const starts = [];
+  await Promise.all([0, 1, 2].map(n => limit(async () => starts.push({ n, at: Date.now() }))));
+  assert.deepEqual(starts.map(s => s.n), [0, 1, 2]);
+  for (let i = 1; i < starts.length; i++) {
+    // Timers can fire a millisecond early
+    assert.ok(starts[i].at - starts[i - 1].at >= 39, `gap ${i} was ${starts[i].at - starts[i - 1].at}ms`);
+  }
+});
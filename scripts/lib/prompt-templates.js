@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const { parseFrontMatter } = require('./content');
+
+// Article prompts live in prompts/<template>.md, with shared pieces in
+// prompts/partials/<name>.md:
+//
+//   ---
+//   version: 3             # bump on every change; articles record it
+//   description: Forks of other people's projects
+//   system: system         # partial used as the system message
+//   ---
+//   {{> context}}
+//   Write about {{repo.name}}.
+//   {{#if repo.parent}}Forked from {{repo.parent.name}}{{else}}Our own{{/if}}
+//
+// A partial change affects every template that includes it, so bump their
+// versions too. The `## ` headings in a template are the article's sections:
+// replies are checked for exactly those, in that order.
+
+const PROMPTS_DIR = path.join(__dirname, '..', '..', 'prompts');
+
+// Which template a repo gets: the first kind that applies, else original or
+// fork. A kind without a template file falls through to the next one.
+const KINDS = [
+  { name: 'awesome-list', applies: ({ repo }) => /^awesome[-_]/i.test(repo.name) || (repo.topics || []).some(t => t === 'awesome' || t === 'awesome-list') },
+  { name: 'notebooks', applies: ({ fileTree }) => notebookShare(fileTree) >= 0.5 },
+  { name: 'ml-model', applies: ({ fileTree, stack }) => fileTree.some(f => /\.(safetensors|ckpt|pt|pth|onnx|gguf)$/i.test(f)) || hasGroup(stack, 'ml') },
+  { name: 'cli', applies: ({ repo, stack }) => hasGroup(stack, 'cli-tools') || (repo.topics || []).includes('cli') }
+];
+
+class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptTemplateError';
+  }
+}
+
+function hasGroup(stack, id) {
+  return Boolean(stack && stack.groups.some(g => g.id === id));
+}
+
+// Share of the code-like files that are notebooks
+function notebookShare(fileTree) {
+  const code = fileTree.filter(f => /\.(ipynb|py|js|ts|r|jl|go|rs|java)$/i.test(f));
+  if (code.length === 0) return 0;
+  return code.filter(f => /\.ipynb$/i.test(f)).length / code.length;
+}
+
+// The `## ` lines of a template body, in order
+function sectionHeadings(body) {
+  return [...body.matchAll(/^##\s+(.+?)\s*$/gm)].map(m => m[1]);
+}
+
+function readTemplateFile(file) {
+  try {
+    return parseFrontMatter(fs.readFileSync(file, 'utf8'), file);
+  } catch (error) {
+    throw new PromptTemplateError(error.message.startsWith(file) ? error.message : `${file}: ${error.message}`);
+  }
+}
+
+// Every template and partial, checked up front so a broken prompt stops the
+// run before any repo is fetched
+function loadPromptTemplates(dir = PROMPTS_DIR) {
+  if (!fs.existsSync(dir)) throw new PromptTemplateError(`No prompt templates in ${dir}`);
+
+  const partials = new Map();
+  const partialsDir = path.join(dir, 'partials');
+  if (fs.existsSync(partialsDir)) {
+    for (const name of fs.readdirSync(partialsDir).sort()) {
+      if (name.endsWith('.md')) partials.set(name.slice(0, -'.md'.length), fs.readFileSync(path.join(partialsDir, name), 'utf8').trim());
+    }
+  }
+
+  const templates = new Map();
+  for (const name of fs.readdirSync(dir).sort()) {
+    if (!name.endsWith('.md')) continue;
+    const file = path.join(dir, name);
+    const { data, body } = readTemplateFile(file);
+    if (!/^[1-9]\d*$/.test(String(data.version))) {
+      throw new PromptTemplateError(`${file}: version must be a positive whole number`);
+    }
+    const system = data.system || 'system';
+    if (!partials.has(system)) throw new PromptTemplateError(`${file}: no partial "${system}" for the system message`);
+    const sections = sectionHeadings(body);
+    if (sections.length === 0) throw new PromptTemplateError(`${file}: lists no "## " section headings`);
+    templates.set(name.slice(0, -'.md'.length), {
+      name: name.slice(0, -'.md'.length),
+      file,
+      version: Number(data.version),
+      description: data.description || '',
+      system,
+      sections,
+      body
+    });
+  }
+
+  for (const required of ['original', 'fork']) {
+    if (!templates.has(required)) throw new PromptTemplateError(`${dir} needs a ${required}.md template`);
+  }
+  return { templates, partials };
+}
+
+function lookup(vars, key, file) {
+  const value = key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), vars);
+  if (value === undefined) throw new PromptTemplateError(`${file}: unknown variable "${key}"`);
+  return value;
+}
+
+// Inlines {{> partial}} (recursively) before anything is substituted, so
+// values such as a README full of {{braces}} are never parsed as template
+function expandPartials(text, partials, file, depth = 0) {
+  if (depth > 5) throw new PromptTemplateError(`${file}: partials nested too deeply`);
+  return text.replace(/\{\{>\s*([\w-]+)\s*\}\}/g, (_, name) => {
+    if (!partials.has(name)) throw new PromptTemplateError(`${file}: no partial "${name}"`);
+    return expandPartials(partials.get(name), partials, `partials/${name}.md`, depth + 1);
+  });
+}
+
+// {{> partial}}, then {{#if var}}...{{else}}...{{/if}} (not nested), then {{var}}
+function renderTemplate(text, vars, partials, file) {
+  return expandPartials(text, partials, file)
+    .replace(/\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+      (_, key, yes, no = '') => (lookup(vars, key, file) ? yes : no))
+    .replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+      const value = lookup(vars, key, file);
+      return value === null ? '' : String(value);
+    });
+}
+
+// Name of the template for a repo; `repo` is the GitHub repo (with _type)
+function selectTemplate({ templates }, repo, { fileTree = [], stack = null } = {}) {
+  const kind = KINDS.find(k => templates.has(k.name) && k.applies({ repo, fileTree, stack }));
+  if (kind) return kind.name;
+  return repo._type === 'original' ? 'original' : 'fork';
+}
+
+// { messages, sections, prompt: { template, version } } for the chat API;
+// `sections` are the headings the reply must use
+function renderPrompt({ templates, partials }, name, vars) {
+  const template = templates.get(name);
+  if (!template) throw new PromptTemplateError(`No prompt template "${name}"`);
+  const tidy = text => text.replace(/\n{3,}/g, '\n\n').trim();
+  return {
+    messages: [
+      { role: 'system', content: tidy(renderTemplate(partials.get(template.system), vars, partials, `partials/${template.system}.md`)) },
+      { role: 'user', content: tidy(renderTemplate(template.body, vars, partials, template.file)) }
+    ],
+    sections: template.sections,
+    prompt: { template: template.name, version: template.version }
+  };
+}
+
+// Why an article's recorded `prompt` is out of date (--outdated-prompts), or
+// null when it was written with the current version of its template
+function outdatedPrompt(prompt, { templates }) {
+  if (!prompt) return 'no prompt template recorded';
+  const current = templates.get(prompt.template);
+  if (!current) return `prompt template ${prompt.template} no longer exists`;
+  if (prompt.version < current.version) return `prompt ${prompt.template} v${prompt.version}, now v${current.version}`;
+  return null;
+}
+
+module.exports = {
+  PROMPTS_DIR,
+  PromptTemplateError,
+  loadPromptTemplates,
+  renderTemplate,
+  selectTemplate,
+  renderPrompt,
+  outdatedPrompt
+};
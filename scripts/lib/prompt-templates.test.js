@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PromptTemplateError,
+  loadPromptTemplates,
+  renderTemplate,
+  selectTemplate,
+  renderPrompt,
+  outdatedPrompt
+} = require('./prompt-templates');
+
+const TEMPLATE = `---
+version: 2
+description: Test template
+---
+{{> context}}
+Write about {{repo.name}}.
+{{#if repo.parent}}Forked from {{repo.parent.name}}.{{else}}Our own.{{/if}}
+
+## The Problem
+
+## The Bottom Line
+`;
+
+// A prompts/ directory with `files` (relative path to content) in a temp dir
+function promptsDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  const all = {
+    'partials/system.md': 'You write short articles.',
+    'partials/context.md': 'Repo: {{repo.name}}\n{{readme}}',
+    'original.md': TEMPLATE,
+    'fork.md': TEMPLATE,
+    ...files
+  };
+  for (const [name, content] of Object.entries(all)) {
+    if (content === null) continue;
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+function withPrompts(files, fn) {
+  const dir = promptsDir(files);
+  try {
+    return fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('loads templates with their version, system partial and sections', () => {
+  withPrompts({}, dir => {
+    const { templates, partials } = loadPromptTemplates(dir);
+    assert.deepEqual([...templates.keys()], ['fork', 'original']);
+    const fork = templates.get('fork');
+    assert.equal(fork.version, 2);
+    assert.equal(fork.system, 'system');
+    assert.deepEqual(fork.sections, ['The Problem', 'The Bottom Line']);
+    assert.deepEqual([...partials.keys()], ['context', 'system']);
+  });
+});
+
+test('rejects broken templates before any repo is fetched', () => {
+  const cases = [
+    [{ 'cli.md': TEMPLATE.replace('version: 2', 'version: 1.5') }, /cli\.md: version must be a positive whole number/],
+    [{ 'cli.md': TEMPLATE.replace('---\n{{', 'system: missing\n---\n{{') }, /no partial "missing" for the system message/],
+    [{ 'cli.md': TEMPLATE.replace(/^## .*$/gm, '') }, /lists no "## " section headings/],
+    [{ 'fork.md': null }, /needs a fork\.md template/]
+  ];
+  for (const [files, message] of cases) {
+    withPrompts(files, dir => {
+      assert.throws(() => loadPromptTemplates(dir), error => error instanceof PromptTemplateError && message.test(error.message));
+    });
+  }
+  assert.throws(() => loadPromptTemplates(path.join(os.tmpdir(), 'no-such-prompts')), PromptTemplateError);
+});
+
+test('renderTemplate expands partials, conditionals and variables', () => {
+  const partials = new Map([['greeting', 'Hi {{name}}'], ['outer', '{{> greeting}}!']]);
+  assert.equal(renderTemplate('{{> outer}} {{#if parent}}fork{{else}}own{{/if}} {{missing.deep}}', { name: 'tree', parent: null, missing: { deep: null } }, partials, 't.md'),
+    'Hi tree! own ');
+  assert.throws(() => renderTemplate('{{nope}}', {}, partials, 't.md'), /t\.md: unknown variable "nope"/);
+  assert.throws(() => renderTemplate('{{> gone}}', {}, partials, 't.md'), /t\.md: no partial "gone"/);
+});
+
+test('values are never parsed as template syntax', () => {
+  const rendered = renderTemplate('{{readme}}', { readme: 'Use {{name}} and {{> x}}' }, new Map(), 't.md');
+  assert.equal(rendered, 'Use {{name}} and {{> x}}');
+});
+
+test('selectTemplate picks the first kind that applies and has a template', () => {
+  const prompts = { templates: new Map(['awesome-list', 'notebooks', 'cli', 'original', 'fork'].map(n => [n, {}])) };
+  assert.equal(selectTemplate(prompts, { name: 'awesome-rust', topics: ['cli'] }), 'awesome-list');
+  assert.equal(selectTemplate(prompts, { name: 'course' }, { fileTree: ['a.ipynb', 'b.ipynb', 'util.py'] }), 'notebooks');
+  assert.equal(selectTemplate(prompts, { name: 'tool', topics: ['cli'] }), 'cli');
+  // No ml-model template here, so a model repo falls through
+  assert.equal(selectTemplate(prompts, { name: 'weights', _type: 'fork' }, { fileTree: ['model.safetensors'] }), 'fork');
+  assert.equal(selectTemplate(prompts, { name: 'mine', _type: 'original' }), 'original');
+});
+
+test('renderPrompt returns the messages, required sections and prompt version', () => {
+  withPrompts({}, dir => {
+    const prompts = loadPromptTemplates(dir);
+    const { messages, sections, prompt } = renderPrompt(prompts, 'fork', {
+      repo: { name: 'tree', parent: { name: 'upstream/tree' } },
+      readme: 'README text'
+    });
+    assert.deepEqual(messages[0], { role: 'system', content: 'You write short articles.' });
+    assert.match(messages[1].content, /^Repo: tree\nREADME text\nWrite about tree\.\nForked from upstream\/tree\./);
+    assert.deepEqual(sections, ['The Problem', 'The Bottom Line']);
+    assert.deepEqual(prompt, { template: 'fork', version: 2 });
+    assert.throws(() => renderPrompt(prompts, 'cli', {}), /No prompt template "cli"/);
+  });
+});
+
+test('outdatedPrompt explains why an article needs the current prompt', () => {
+  const prompts = { templates: new Map([['fork', { version: 3 }]]) };
+  assert.equal(outdatedPrompt({ template: 'fork', version: 3 }, prompts), null);
+  assert.equal(outdatedPrompt({ template: 'fork', version: 2 }, prompts), 'prompt fork v2, now v3');
+  assert.equal(outdatedPrompt({ template: 'cli', version: 1 }, prompts), 'prompt template cli no longer exists');
+  assert.equal(outdatedPrompt(undefined, prompts), 'no prompt template recorded');
+});
+
+test('the repo templates load', () => {
+  const { templates } = loadPromptTemplates();
+  for (const template of templates.values()) {
+    assert.ok(template.sections.length > 0, template.name);
+  }
+});
@@ -0,0 +1,172 @@
+// Related projects. Scores every pair of entries on five signals and keeps
+// the top few per entry, with the reasons a reader would recognise:
+//
+//   text       TF-IDF cosine over the article and description
+//   topics     Jaccard overlap of GitHub topics
+//   languages  Jaccard overlap of knowledge-graph languages (code only)
+//   stack      Jaccard overlap of runtime packages and detected technologies
+//   owner      forks of the same upstream owner
+//
+// Everything is computed from forks.json, so it runs at build time with no
+// API calls.
+
+const DEFAULT_WEIGHTS = { text: 0.45, topics: 0.2, languages: 0.1, stack: 0.15, owner: 0.1 };
+
+// Languages every repo has; sharing them says nothing
+const NON_CODE_LANGUAGES = new Set(['Markdown', 'JSON', 'YAML', 'TOML', 'reStructuredText', 'HTML', 'CSS']);
+
+const STOPWORDS = new Set(`
+  about after also and any are because been before being but can could does doing
+  don each even every for from get gets getting had has have here how into its just
+  like make makes more most much need needs not now off one only other our out over
+  own really same should some such than that the their them then there these they
+  thing things this those through too under until use used uses using very want was
+  way well were what when where which while who why will with without would you your
+  problem bottom line real world code project repo repository file files
+`.trim().split(/\s+/));
+
+function tokenize(text) {
+  return (text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/[#*_`>[\]()]/g, ' ')
+    .toLowerCase()
+    .split(/[^a-z0-9+.-]+/)
+    .map(t => t.replace(/^[.-]+|[.-]+$/g, ''))
+    .filter(t => t.length >= 3 && !STOPWORDS.has(t) && !/^\d+$/.test(t));
+}
+
+// Unit-length TF-IDF vectors (Map term -> weight), one per document
+function tfidfVectors(documents) {
+  const termCounts = documents.map(doc => {
+    const counts = new Map();
+    for (const term of tokenize(doc)) counts.set(term, (counts.get(term) || 0) + 1);
+    return counts;
+  });
+
+  const docFrequency = new Map();
+  for (const counts of termCounts) {
+    for (const term of counts.keys()) docFrequency.set(term, (docFrequency.get(term) || 0) + 1);
+  }
+
+  return termCounts.map(counts => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of counts) {
+      const df = docFrequency.get(term);
+      if (df < 2) continue; // Terms unique to one doc can't relate two docs
+      const weight = (1 + Math.log(count)) * Math.log(documents.length / df);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, weight] of vector) vector.set(term, weight / norm);
+    return vector;
+  });
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let sum = 0;
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) sum += weight * other;
+  }
+  return sum;
+}
+
+// Terms contributing most to the cosine, for the "both mention" reason
+function sharedTerms(a, b, limit) {
+  return [...a.entries()]
+    .filter(([term]) => b.has(term))
+    .map(([term, weight]) => [term, weight * b.get(term)])
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, limit)
+    .map(([term]) => term);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function intersection(a, b) {
+  return [...a].filter(item => b.has(item));
+}
+
+function upstreamOwner(fork) {
+  return fork.parent && fork.parent.name ? fork.parent.name.split('/')[0].toLowerCase() : null;
+}
+
+function featuresOf(fork) {
+  const kg = fork.knowledgeGraph || {};
+  const languages = new Set(Object.keys(kg.languages || {}).filter(l => !NON_CODE_LANGUAGES.has(l)));
+  if (fork.language) languages.add(fork.language);
+
+  const packages = (kg.packages || []).filter(p => !p.dev).map(p => p.name.toLowerCase());
+  const technologies = ((fork.stack && fork.stack.technologies) || []).map(t => t.name);
+
+  return {
+    topics: new Set((fork.topics || []).map(t => t.toLowerCase())),
+    languages,
+    stack: new Set([...packages, ...technologies]),
+    owner: upstreamOwner(fork)
+  };
+}
+
+// Human-readable reasons, strongest first
+function reasonsFor(signals, a, b, vectorA, vectorB) {
+  const reasons = [];
+  const topics = intersection(a.topics, b.topics);
+  if (topics.length > 0) reasons.push(`topics: ${topics.slice(0, 3).join(', ')}`);
+  const stack = intersection(a.stack, b.stack);
+  if (stack.length > 0) reasons.push(`both use ${stack.slice(0, 3).join(', ')}`);
+  if (signals.owner > 0) reasons.push(`both forked from ${a.owner}`);
+  if (signals.text >= 0.08) reasons.push(`both mention ${sharedTerms(vectorA, vectorB, 3).join(', ')}`);
+  const languages = intersection(a.languages, b.languages);
+  if (languages.length > 0 && reasons.length < 2) reasons.push(`both ${languages.slice(0, 2).join(' + ')}`);
+  return reasons;
+}
+
+// Returns Map id -> [{ id, name, score, reasons }], best first. Pairs scoring
+// below minScore are dropped, so an unusual repo may get fewer than `limit`.
+function computeRelated(forks, { limit = 4, minScore = 0.05, weights = DEFAULT_WEIGHTS } = {}) {
+  const vectors = tfidfVectors(forks.map(f => `${f.description || ''}\n${f.summary || ''}`));
+  const features = forks.map(featuresOf);
+  const candidates = forks.map(() => []);
+
+  for (let i = 0; i < forks.length; i++) {
+    for (let j = i + 1; j < forks.length; j++) {
+      const a = features[i];
+      const b = features[j];
+      const signals = {
+        text: cosine(vectors[i], vectors[j]),
+        topics: jaccard(a.topics, b.topics),
+        languages: jaccard(a.languages, b.languages),
+        stack: jaccard(a.stack, b.stack),
+        owner: a.owner && a.owner === b.owner ? 1 : 0
+      };
+      const score = Object.entries(weights).reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0);
+      if (score < minScore) continue;
+
+      const reasons = reasonsFor(signals, a, b, vectors[i], vectors[j]);
+      const rounded = Math.round(score * 1000) / 1000;
+      candidates[i].push({ id: forks[j].id, name: forks[j].name, score: rounded, reasons });
+      candidates[j].push({ id: forks[i].id, name: forks[i].name, score: rounded, reasons });
+    }
+  }
+
+  const related = new Map();
+  forks.forEach((fork, i) => {
+    related.set(fork.id, candidates[i]
+      .sort((x, y) => y.score - x.score || x.name.localeCompare(y.name))
+      .slice(0, limit));
+  });
+  return related;
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  computeRelated
+};
@@ -0,0 +1,157 @@
+// Which repos an update-forks.js run regenerates, and which keep their
+// stored entry.
+//
+// planRepos decides what stored data alone can decide. A repo outside the
+// run's filters passes through untouched. A targeted repo is queued for
+// generation (new, low quality, --force, outdated prompt), kept as is
+// (locked in content/), or kept unless its inputs drifted, which
+// update-forks.js checks against GitHub afterwards; settlePlan then queues
+// the repos whose inputs drifted past the threshold and keeps the rest.
+//
+// splitBatch cuts the generation queue to the batch size. A queued repo that
+// doesn't make the batch keeps its stored entry, unchanged, until a later run
+// gets to it; only a repo with no entry yet waits with nothing on the page.
+// Nothing is dropped from forks.json for being queued.
+
+// options:
+//   existingArticles  Map of repo id to stored entry
+//   isTargeted(repo)  whether --only, --exclude and --since include the repo
+//   assess(entry)     quality record of a stored article
+//   overrides         Map of lowercased repo name to content/ override
+//   force             --force
+//   outdated(entry)   why the entry's prompt is out of date, or null
+//   maxAttempts       low-scoring AI attempts before an article is kept anyway
+// Returns { planned, untouched, conflicts, exhausted }, where planned is in
+// listing order and holds one of
+//   { repo, reason }                             queued for generation
+//   { repo, existing, quality, keep: true }      locked, kept as is
+//   { repo, existing, quality, driftDue: true }  kept unless its inputs drifted
+// and exhausted lists the { repo, quality } kept after maxAttempts.
+function planRepos(repos, {
+  existingArticles,
+  isTargeted = () => true,
+  assess,
+  overrides = new Map(),
+  force = false,
+  outdated = () => null,
+  maxAttempts = Infinity
+}) {
+  const planned = [];
+  const untouched = [];
+  const conflicts = [];
+  const exhausted = [];
+
+  for (const repo of repos) {
+    const existing = existingArticles.get(repo.id);
+    if (!isTargeted(repo)) {
+      if (existing) untouched.push(existing);
+      continue;
+    }
+    if (!existing) {
+      planned.push({ repo, reason: 'new repo' });
+      continue;
+    }
+    const quality = assess(existing);
+
+    // Locked entries skip quality, --force and drift checks entirely
+    const override = overrides.get(repo.name.toLowerCase());
+    if (override && override.lock) {
+      // A hand-written article replaces the generated one, so its score doesn't matter
+      if (force || (!quality.passed && !override.body)) {
+        conflicts.push(`${override.file}: locked, so not regenerated (${force ? '--force' : `quality ${quality.score}/100`})`);
+      }
+      planned.push({ repo, existing, quality, keep: true });
+      continue;
+    }
+    if (!quality.passed) {
+      if ((quality.failedAttempts || 0) < maxAttempts) {
+        planned.push({ repo, reason: `quality ${quality.score}/100: ${quality.reasons.join('; ')}` });
+        continue;
+      }
+      exhausted.push({ repo, quality });
+    }
+    if (force) {
+      planned.push({ repo, reason: 'forced' });
+      continue;
+    }
+    const reason = outdated(existing);
+    if (reason) {
+      planned.push({ repo, reason });
+      continue;
+    }
+    planned.push({ repo, existing, quality, driftDue: true });
+  }
+
+  return { planned, untouched, conflicts, exhausted };
+}
+
+// Second pass, once the drift checks are back. `drifts` holds one settled
+// result ({ ok, value | error }, see pool.js) per planned item, null for
+// items that weren't due a check. Returns
+//   generation      [{ repo, reason }] in listing order
+//   kept            [{ repo, existing, quality, fingerprint, driftCheck }]
+//   deferredChecks  checks skipped for the drift budget or a failed fetch
+//   notes           log lines, in listing order
+function settlePlan(planned, drifts, { threshold }) {
+  const generation = [];
+  const kept = [];
+  const notes = [];
+  let deferredChecks = 0;
+
+  for (const [i, { repo, existing, quality, reason, keep }] of planned.entries()) {
+    if (reason) {
+      generation.push({ repo, reason });
+      continue;
+    }
+    if (keep) {
+      kept.push({ repo, existing, quality, fingerprint: existing.fingerprint, driftCheck: existing.driftCheck });
+      continue;
+    }
+
+    let drift = drifts[i].value;
+    if (!drifts[i].ok) {
+      notes.push(`! ${repo.name}: drift check failed (${drifts[i].error.message})`);
+      drift = { score: 0, reasons: [], deferred: true };
+    }
+    if (drift.deferred) deferredChecks++;
+
+    if (drift.score >= threshold) {
+      const reason = `inputs drifted ${Math.round(drift.score * 100)}%: ${drift.reasons.join(', ')}`;
+      notes.push(`↻ ${repo.name}: ${reason}`);
+      generation.push({ repo, reason });
+      continue;
+    }
+    if (drift.baseline) {
+      notes.push(`• ${repo.name}: fingerprint baseline recorded`);
+    } else if (drift.reasons.length > 0) {
+      notes.push(`• ${repo.name}: below drift threshold (${drift.reasons.join(', ')})`);
+    }
+
+    const fingerprint = drift.baseline || existing.fingerprint;
+    const driftCheck = drift.fetched && !drift.baseline
+      ? { pushedAt: repo.pushed_at, readme: drift.components.readme, tree: drift.components.tree }
+      : existing.driftCheck;
+    kept.push({ repo, existing, quality, fingerprint, driftCheck });
+  }
+
+  return { generation, kept, deferredChecks, notes };
+}
+
+// `queue` is [{ repo, reason }] in priority order. Returns the first
+// batchSize items as `batch`, and as `carried` the rest that have a stored
+// entry, as { repo, reason, existing }.
+function splitBatch(queue, batchSize, existingArticles) {
+  const batch = queue.slice(0, batchSize);
+  const carried = [];
+  for (const item of queue.slice(batchSize)) {
+    const existing = existingArticles.get(item.repo.id);
+    if (existing) carried.push({ ...item, existing });
+  }
+  return { batch, carried };
+}
+
+module.exports = {
+  planRepos,
+  settlePlan,
+  splitBatch
+};
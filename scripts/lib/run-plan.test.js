@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planRepos, settlePlan, splitBatch } = require('./run-plan');
+
+const PASSED = { score: 90, passed: true, reasons: [] };
+const FAILED = { score: 40, passed: false, reasons: ['too short: 80 words (min 150)'] };
+
+function repo(id, name = `repo-${id}`) {
+  return { id, name };
+}
+
+function entry(id, fields = {}) {
+  return { id, name: `repo-${id}`, summary: `Article ${id}`, quality: PASSED, ...fields };
+}
+
+// Stored quality is used as the assessment, so each case picks its own
+const assess = stored => stored.quality;
+
+function byName(planned) {
+  return Object.fromEntries(planned.map(({ repo, ...item }) => [repo.name, item.reason || (item.keep ? 'keep' : 'drift check')]));
+}
+
+test('planRepos queues new, failing and forced repos and keeps the rest for a drift check', () => {
+  const existingArticles = new Map([
+    [2, entry(2)],
+    [3, entry(3, { quality: FAILED })],
+    [4, entry(4, { quality: { ...FAILED, failedAttempts: 3 } })],
+    [5, entry(5, { prompt: { template: 'fork', version: 1 } })],
+    [6, entry(6)]
+  ]);
+  const { planned, untouched, exhausted } = planRepos([1, 2, 3, 4, 5].map(id => repo(id)).concat(repo(6, 'skipped')), {
+    existingArticles,
+    isTargeted: r => r.name !== 'skipped',
+    assess,
+    outdated: stored => (stored.prompt ? 'prompt fork v1, now v2' : null),
+    maxAttempts: 3
+  });
+
+  assert.deepEqual(byName(planned), {
+    'repo-1': 'new repo',
+    'repo-2': 'drift check',
+    'repo-3': 'quality 40/100: too short: 80 words (min 150)',
+    'repo-4': 'drift check',
+    'repo-5': 'prompt fork v1, now v2'
+  });
+  assert.deepEqual(untouched, [existingArticles.get(6)]);
+  assert.deepEqual(exhausted.map(e => e.repo.name), ['repo-4']);
+});
+
+test('planRepos with force queues every stored article except locked ones', () => {
+  const existingArticles = new Map([[1, entry(1)], [2, entry(2)]]);
+  const overrides = new Map([['repo-2', { file: 'content/repo-2.md', lock: true }]]);
+  const { planned, conflicts } = planRepos([repo(1), repo(2)], { existingArticles, assess, overrides, force: true });
+  assert.deepEqual(byName(planned), { 'repo-1': 'forced', 'repo-2': 'keep' });
+  assert.deepEqual(conflicts, ['content/repo-2.md: locked, so not regenerated (--force)']);
+});
+
+test('planRepos keeps a failing locked entry and says so unless it is hand-written', () => {
+  const existingArticles = new Map([[1, entry(1, { quality: FAILED })], [2, entry(2, { quality: FAILED })]]);
+  const overrides = new Map([
+    ['repo-1', { file: 'content/repo-1.md', lock: true }],
+    ['repo-2', { file: 'content/repo-2.md', lock: true, body: '## The Problem\n\nHand-written.' }]
+  ]);
+  const { planned, conflicts } = planRepos([repo(1), repo(2)], { existingArticles, assess, overrides });
+  assert.deepEqual(byName(planned), { 'repo-1': 'keep', 'repo-2': 'keep' });
+  assert.deepEqual(conflicts, ['content/repo-1.md: locked, so not regenerated (quality 40/100)']);
+});
+
+test('splitBatch carries queued entries outside the batch', () => {
+  const existingArticles = new Map([[2, entry(2)], [3, entry(3)], [4, entry(4)]]);
+  const queue = [1, 2, 3, 4, 5].map(id => ({ repo: repo(id), reason: 'forced' }));
+  const { batch, carried } = splitBatch(queue, 2, existingArticles);
+  assert.deepEqual(batch.map(b => b.repo.id), [1, 2]);
+  // repo-5 has nothing stored yet, so it waits with nothing to carry
+  assert.deepEqual(carried.map(c => [c.repo.id, c.reason, c.existing]), [
+    [3, 'forced', existingArticles.get(3)],
+    [4, 'forced', existingArticles.get(4)]
+  ]);
+  assert.deepEqual(splitBatch(queue, 10, existingArticles).carried, []);
+});
+
+test('a queue longer than the batch drops no stored entry', () => {
+  // 3 untouched, 3 kept, 6 queued (one new) with a batch of 2
+  const existingArticles = new Map();
+  for (let id = 1; id <= 11; id++) {
+    existingArticles.set(id, entry(id, { quality: id >= 7 ? FAILED : PASSED }));
+  }
+  const repos = Array.from({ length: 12 }, (_, i) => repo(i + 1));
+  const { planned, untouched } = planRepos(repos, {
+    existingArticles,
+    isTargeted: r => r.id > 3,
+    assess,
+    maxAttempts: 3
+  });
+  const queue = planned.filter(p => p.reason);
+  const kept = planned.filter(p => !p.reason).map(p => p.existing);
+  assert.equal(queue.length, 6);
+
+  const { batch, carried } = splitBatch(queue, 2, existingArticles);
+  assert.deepEqual(batch.map(b => b.repo.id), [7, 8]);
+  // What update-forks.js writes: untouched, carried and kept entries, then
+  // one entry per repo in the batch. repo-12 is new and waits for a later batch.
+  const written = [...untouched, ...carried.map(c => c.existing), ...kept, ...batch.map(b => b.repo)];
+  assert.deepEqual(written.map(e => e.id).sort((a, b) => a - b), [...existingArticles.keys()]);
+});
+
+test('a forced run with a small batch keeps every entry it does not regenerate', () => {
+  const existingArticles = new Map(Array.from({ length: 6 }, (_, i) => [i + 1, entry(i + 1)]));
+  const { planned, untouched } = planRepos([...existingArticles.keys()].map(id => repo(id)), {
+    existingArticles,
+    assess,
+    force: true
+  });
+  assert.deepEqual(untouched, []);
+  const { batch, carried } = splitBatch(planned, 2, existingArticles);
+  assert.deepEqual(batch.map(b => b.repo.id), [1, 2]);
+  assert.deepEqual(carried.map(c => c.existing), [3, 4, 5, 6].map(id => existingArticles.get(id)));
+});
+
+test('settlePlan queues repos whose inputs drifted past the threshold', () => {
+  const fingerprint = { version: 1 };
+  const existingArticles = new Map([1, 2, 3, 4, 5].map(id => [id, entry(id, { fingerprint, driftCheck: { pushedAt: 'old' } })]));
+  const planned = [
+    { repo: repo(1), reason: 'new repo' },
+    ...[2, 3, 4, 5].map(id => ({ repo: { ...repo(id), pushed_at: 'new' }, existing: existingArticles.get(id), quality: PASSED, driftDue: true }))
+  ];
+  const drifts = [
+    { ok: true, value: null },
+    { ok: true, value: { score: 0.5, reasons: ['README 100% changed', 'file tree 25% changed'], components: {}, fetched: true } },
+    { ok: true, value: { score: 0.1, reasons: ['topics 50% changed'], components: { readme: 0, tree: 0.1 }, fetched: true } },
+    { ok: true, value: { score: 0, reasons: [], deferred: true } },
+    { ok: false, error: new Error('timed out') }
+  ];
+  const { generation, kept, deferredChecks, notes } = settlePlan(planned, drifts, { threshold: 0.3 });
+
+  assert.deepEqual(generation.map(g => [g.repo.id, g.reason]), [
+    [1, 'new repo'],
+    [2, 'inputs drifted 50%: README 100% changed, file tree 25% changed']
+  ]);
+  assert.deepEqual(kept.map(k => k.repo.id), [3, 4, 5]);
+  // A fresh check records what it measured; a deferred one keeps the last record
+  assert.deepEqual(kept[0].driftCheck, { pushedAt: 'new', readme: 0, tree: 0.1 });
+  assert.deepEqual(kept[1].driftCheck, { pushedAt: 'old' });
+  assert.equal(deferredChecks, 2);
+  assert.deepEqual(notes, [
+    '↻ repo-2: inputs drifted 50%: README 100% changed, file tree 25% changed',
+    '• repo-3: below drift threshold (topics 50% changed)',
+    '! repo-5: drift check failed (timed out)'
+  ]);
+});
+
+test('drifted repos past the batch keep their stored entry', () => {
+  const existingArticles = new Map([1, 2, 3].map(id => [id, entry(id)]));
+  const planned = [1, 2, 3].map(id => ({ repo: repo(id), existing: existingArticles.get(id), quality: PASSED, driftDue: true }));
+  const drifts = planned.map(() => ({ ok: true, value: { score: 0.9, reasons: ['README 90% changed'], components: {}, fetched: true } }));
+  const { generation } = settlePlan(planned, drifts, { threshold: 0.3 });
+  const { batch, carried } = splitBatch(generation, 1, existingArticles);
+  assert.deepEqual(batch.map(b => b.repo.id), [1]);
+  assert.deepEqual(carried.map(c => c.existing), [existingArticles.get(2), existingArticles.get(3)]);
+});
+
+test('a prompt version bump queues old articles without dropping any', () => {
+  const existingArticles = new Map(Array.from({ length: 5 }, (_, i) => [i + 1, entry(i + 1, { prompt: { template: 'fork', version: 1 } })]));
+  const { planned } = planRepos([...existingArticles.keys()].map(id => repo(id)), {
+    existingArticles,
+    assess,
+    outdated: stored => (stored.prompt.version < 2 ? `prompt fork v${stored.prompt.version}, now v2` : null)
+  });
+  assert.ok(planned.every(p => p.reason === 'prompt fork v1, now v2'));
+  const { batch, carried } = splitBatch(planned, 2, existingArticles);
+  assert.equal(batch.length + carried.length, existingArticles.size);
+});
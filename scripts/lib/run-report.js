@@ -0,0 +1,175 @@
+const fs = require('fs');
+
+// Report of one update-forks.js run: phase timings, GitHub API calls and
+// rate-limit headroom, per-model call results, what happened to each repo
+// and the quality scores. Written as JSON (CONFIG.report.file) and, when
+// GITHUB_STEP_SUMMARY is set, appended to the Actions job summary as markdown.
+//
+// Repo outcomes:
+//   regenerated  a new AI article
+//   preserved    the stored article was kept (still good, or generation failed)
+//   fallback     no AI article and nothing stored, so the template summary
+//   error        inputs couldn't be fetched; the stored entry (if any) was kept
+
+const REPORT_VERSION = 1;
+const OUTCOMES = ['regenerated', 'preserved', 'fallback', 'error'];
+const MODEL_RESULTS = ['succeeded', 'invalid', 'rateLimited', 'failed'];
+
+function createRunReport({ args = [], provider = null } = {}) {
+  const startedAt = new Date();
+  const timings = {};
+  const models = {};
+  const repos = [];
+  let phase = null;
+
+  const endPhase = () => {
+    if (phase) timings[phase.name] = (timings[phase.name] || 0) + (Date.now() - phase.started);
+    phase = null;
+  };
+
+  return {
+    // Starts timing `name`, ending the phase before it
+    phase(name) {
+      endPhase();
+      phase = { name, started: Date.now() };
+    },
+
+    // One AI call: succeeded, invalid (reply unusable), rateLimited or failed
+    modelResult(model, result) {
+      if (!models[model]) models[model] = Object.fromEntries(MODEL_RESULTS.map(r => [r, 0]));
+      models[model][result]++;
+    },
+
+    // { name, outcome, reason, ... } for one repo this run looked at
+    repo(entry) {
+      repos.push(entry);
+    },
+
+    // The finished report; `details` adds status, github, usage, quality and totals
+    finish(details) {
+      endPhase();
+      const finishedAt = new Date();
+      const outcomes = Object.fromEntries(OUTCOMES.map(o => [o, repos.filter(r => r.outcome === o).length]));
+      return {
+        version: REPORT_VERSION,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        args,
+        provider,
+        ...details,
+        timings,
+        models,
+        outcomes,
+        repos
+      };
+    }
+  };
+}
+
+function formatDuration(ms) {
+  if (ms < 10000) return `${(ms / 1000).toFixed(1)}s`;
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+// Pipes and newlines would break a table row
+function cell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+// Markdown for the job summary. Preserved repos are only counted; the table
+// lists the ones that changed or need attention.
+function renderRunReport(report) {
+  const lines = [];
+  const status = { success: '✅', failed: '❌' }[report.status] || '';
+  lines.push(`## Forks feed run: ${report.status} ${status}`.trim());
+  lines.push('');
+  lines.push(`Finished ${report.finishedAt.replace('T', ' ').replace(/\.\d+Z$/, ' UTC')} in ${formatDuration(report.durationMs)}` +
+    `${report.provider ? ` with ${report.provider.label} (${report.provider.models.join(', ')})` : ''}` +
+    `${report.args.length > 0 ? `, flags \`${report.args.join(' ')}\`` : ''}.`);
+  if (report.error) lines.push('', `**Error:** ${report.error}`);
+
+  lines.push('', table(
+    ['Regenerated', 'Preserved', 'Fallback', 'Error', 'Pending'],
+    [[report.outcomes.regenerated, report.outcomes.preserved, report.outcomes.fallback, report.outcomes.error, report.totals ? report.totals.pending : '']]
+  ));
+
+  const phases = Object.entries(report.timings);
+  if (phases.length > 0) {
+    lines.push('', '### Timings', '', table(['Phase', 'Time'], phases.map(([name, ms]) => [name, formatDuration(ms)])));
+  }
+
+  if (report.github) {
+    const { stats, rateLimit } = report.github;
+    lines.push('', '### GitHub API', '');
+    lines.push(`${stats.requests} requests: ${stats.notModified} not modified, ${stats.retries} retries, ${stats.errors} errors, ${stats.rateLimitWaits} rate-limit waits.`);
+    if (rateLimit.limit !== null) {
+      const resets = rateLimit.resetAt ? `, resets ${new Date(rateLimit.resetAt).toISOString().slice(11, 16)} UTC` : '';
+      lines.push(`Rate limit: ${rateLimit.remaining.toLocaleString()} of ${rateLimit.limit.toLocaleString()} remaining${resets}.`);
+    }
+  }
+
+  const models = Object.entries(report.models);
+  if (models.length > 0) {
+    const usage = (report.usage && report.usage.byModel) || {};
+    lines.push('', '### Models', '', table(
+      ['Model', 'Succeeded', 'Invalid reply', 'Rate limited', 'Failed', 'Tokens (prompt + completion)', 'Est. cost'],
+      models.map(([model, r]) => {
+        const u = usage[model];
+        return [
+          model, r.succeeded, r.invalid, r.rateLimited, r.failed,
+          u ? `${u.promptTokens.toLocaleString()} + ${u.completionTokens.toLocaleString()}${u.estimated ? ' (est.)' : ''}` : '',
+          u && u.unpriced < u.calls ? `$${u.costUsd.toFixed(4)}` : ''
+        ];
+      })
+    ));
+  }
+
+  if (report.quality) {
+    const q = report.quality;
+    lines.push('', '### Quality', '');
+    lines.push(`Average ${q.average}/100 across ${q.passed + q.failed} articles: ${q.passed} passing, ${q.failed} below the bar.`);
+    if (q.topReasons.length > 0) {
+      lines.push('', ...q.topReasons.map(r => `- ${r.count} × ${r.reason}`));
+    }
+  }
+
+  const notable = report.repos.filter(r => r.outcome !== 'preserved' || r.reason);
+  if (notable.length > 0) {
+    lines.push('', '### Repos', '', table(
+      ['Repo', 'Outcome', 'Quality', 'Model', 'Time', 'Notes'],
+      notable.map(r => [
+        r.name,
+        r.outcome,
+        r.quality ? `${r.quality.score}/100` : '',
+        (r.models || []).join(', '),
+        r.durationMs !== undefined ? formatDuration(r.durationMs) : '',
+        r.reason || ''
+      ])
+    ));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Writes the JSON report and, inside GitHub Actions, the job summary
+function writeRunReport(report, file, { stepSummary = process.env.GITHUB_STEP_SUMMARY } = {}) {
+  fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n');
+  if (stepSummary) fs.appendFileSync(stepSummary, renderRunReport(report));
+}
+
+module.exports = {
+  createRunReport,
+  renderRunReport,
+  writeRunReport
+};
@@ -0,0 +1,258 @@
+const langColors = require('../../assets/js/lang-colors');
+const { encodePng } = require('./png');
+
+// 1200x630 Open Graph / Twitter share card per blog post, rendered to PNG
+// (LinkedIn and X ignore SVG og:image). Text is drawn with the built-in 5x8
+// bitmap font below, scaled up, on the site's dark background with its
+// indigo-violet-fuchsia gradient.
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const MARGIN = 80;
+
+// Classic 5x8 font, printable ASCII from 0x20: five column bytes per glyph,
+// least significant bit at the top
+const FONT_DATA =
+  '0000000000' + '00005f0000' + '0007000700' + '147f147f14' + '242a7f2a12' + '2313086462' + '3649562050' + '0008070300' +
+  '001c224100' + '0041221c00' + '2a1c7f1c2a' + '08083e0808' + '0080703000' + '0808080808' + '0000606000' + '2010080402' +
+  '3e5149453e' + '00427f4000' + '7249494946' + '2141494d33' + '1814127f10' + '2745454539' + '3c4a494931' + '4121110907' +
+  '3649494936' + '464949291e' + '0000140000' + '0040340000' + '0008142241' + '1414141414' + '0041221408' + '0201590906' +
+  '3e415d594e' + '7c1211127c' + '7f49494936' + '3e41414122' + '7f4141413e' + '7f49494941' + '7f09090901' + '3e41415173' +
+  '7f0808087f' + '00417f4100' + '2040413f01' + '7f08142241' + '7f40404040' + '7f021c027f' + '7f0408107f' + '3e4141413e' +
+  '7f09090906' + '3e4151215e' + '7f09192946' + '2649494932' + '03017f0103' + '3f4040403f' + '1f2040201f' + '3f4038403f' +
+  '6314081463' + '0304780403' + '6159494d43' + '007f414141' + '0204081020' + '004141417f' + '0402010204' + '4040404040' +
+  '0003070800' + '2054547840' + '7f28444438' + '3844444428' + '384444287f' + '3854545418' + '00087e0902' + '18a4a49c78' +
+  '7f08040478' + '00447d4000' + '2040403d00' + '7f10284400' + '00417f4000' + '7c04780478' + '7c08040478' + '3844444438' +
+  'fc18242418' + '18242418fc' + '7c08040408' + '4854545424' + '04043f4424' + '3c4040207c' + '1c2040201c' + '3c4030403c' +
+  '4428102844' + '4c9090907c' + '4464544c44' + '0008364100' + '0000770000' + '0041360800' + '0201020402';
+
+const FONT = new Map();
+for (let code = 0x20; code <= 0x7e; code++) {
+  const hex = FONT_DATA.slice((code - 0x20) * 10, (code - 0x20) * 10 + 10);
+  FONT.set(String.fromCharCode(code), hex.match(/../g).map(b => parseInt(b, 16)));
+}
+FONT.set('\u2605', [0x24, 0x1c, 0x0f, 0x1c, 0x24]);
+
+// The font is ASCII only: fold accents and typographic punctuation, drop the
+// rest (emoji in descriptions)
+function toFontText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2013\u2014]/g, '-')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/\u2026/g, '...')
+    .replace(/[^\x20-\x7e\u2605]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function hexToRgb(hex) {
+  const value = hex.replace('#', '');
+  return [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+}
+
+// --- A tiny RGB canvas --------------------------------------------------------
+
+function createCanvas(width, height) {
+  return { width, height, pixels: new Uint8Array(width * height * 3) };
+}
+
+function blendPixel(canvas, x, y, [r, g, b], alpha = 1) {
+  if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height || alpha <= 0) return;
+  const i = (y * canvas.width + x) * 3;
+  const p = canvas.pixels;
+  p[i] = p[i] + (r - p[i]) * alpha;
+  p[i + 1] = p[i + 1] + (g - p[i + 1]) * alpha;
+  p[i + 2] = p[i + 2] + (b - p[i + 2]) * alpha;
+}
+
+function fillRect(canvas, x, y, w, h, color, alpha = 1) {
+  for (let yy = y; yy < y + h; yy++) {
+    for (let xx = x; xx < x + w; xx++) blendPixel(canvas, xx, yy, color, alpha);
+  }
+}
+
+// Anti-aliased by distance to the edge
+function fillCircle(canvas, cx, cy, radius, color) {
+  for (let y = Math.floor(cy - radius - 1); y <= cy + radius + 1; y++) {
+    for (let x = Math.floor(cx - radius - 1); x <= cx + radius + 1; x++) {
+      const d = Math.hypot(x + 0.5 - cx, y + 0.5 - cy);
+      blendPixel(canvas, x, y, color, Math.min(1, Math.max(0, radius - d + 0.5)));
+    }
+  }
+}
+
+const GRADIENT = ['#6366f1', '#8b5cf6', '#d946ef'].map(hexToRgb);
+
+// The site's --gradient at t in [0, 1]
+function gradientAt(t) {
+  const scaled = Math.min(1, Math.max(0, t)) * (GRADIENT.length - 1);
+  const i = Math.min(GRADIENT.length - 2, Math.floor(scaled));
+  const f = scaled - i;
+  return GRADIENT[i].map((c, k) => c + (GRADIENT[i + 1][k] - c) * f);
+}
+
+// #030303 with the three soft glows and faint grid of the homepage hero.
+// The same for every card, so it is painted once and copied.
+let background = null;
+
+function paintBackground(canvas) {
+  if (background) {
+    canvas.pixels.set(background);
+    return;
+  }
+  const glows = [
+    { x: 0.2, y: 0.4, rx: 0.8, ry: 0.5, color: GRADIENT[0], alpha: 0.3 },
+    { x: 0.8, y: 0.2, rx: 0.6, ry: 0.4, color: GRADIENT[1], alpha: 0.24 },
+    { x: 0.6, y: 0.8, rx: 0.5, ry: 0.6, color: GRADIENT[2], alpha: 0.16 }
+  ];
+  const p = canvas.pixels;
+  for (let y = 0; y < canvas.height; y++) {
+    for (let x = 0; x < canvas.width; x++) {
+      let rgb = [3, 3, 3];
+      for (const glow of glows) {
+        const dx = (x / canvas.width - glow.x) / glow.rx;
+        const dy = (y / canvas.height - glow.y) / glow.ry;
+        const falloff = Math.max(0, 1 - Math.hypot(dx, dy) * 2);
+        const a = glow.alpha * falloff * falloff;
+        rgb = rgb.map((c, k) => c + (glow.color[k] - c) * a);
+      }
+      if (x % 40 === 0 || y % 40 === 0) rgb = rgb.map(c => c + (255 - c) * 0.025);
+      const i = (y * canvas.width + x) * 3;
+      p[i] = rgb[0];
+      p[i + 1] = rgb[1];
+      p[i + 2] = rgb[2];
+    }
+  }
+  background = Uint8Array.from(p);
+}
+
+// --- Text ----------------------------------------------------------------------
+
+const glyphAdvance = scale => 6 * scale;
+
+function textWidth(text, scale) {
+  return text.length > 0 ? text.length * glyphAdvance(scale) - scale : 0;
+}
+
+// Draws at (x, y) top-left; returns the x after the text
+function drawText(canvas, text, x, y, scale, color) {
+  for (const char of text) {
+    const columns = FONT.get(char) || FONT.get('?');
+    columns.forEach((bits, col) => {
+      for (let row = 0; row < 8; row++) {
+        if (bits & (1 << row)) fillRect(canvas, x + col * scale, y + row * scale, scale, scale, color);
+      }
+    });
+    x += glyphAdvance(scale);
+  }
+  return x;
+}
+
+// Greedy word wrap; the last line gets "..." when text is left over.
+// Returns { lines, truncated }
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = '';
+  const words = text.split(' ').filter(Boolean);
+  let i = 0;
+  for (; i < words.length; i++) {
+    let word = words[i];
+    if (word.length > maxChars) word = word.slice(0, maxChars - 3) + '...';
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= maxChars) {
+      line = next;
+      continue;
+    }
+    lines.push(line);
+    line = word;
+    if (lines.length === maxLines) break;
+  }
+  if (lines.length < maxLines && line) {
+    lines.push(line);
+    line = '';
+  }
+  const truncated = i < words.length || line !== '';
+  if (truncated) {
+    const last = lines[lines.length - 1];
+    lines[lines.length - 1] = (last.length > maxChars - 3 ? last.slice(0, maxChars - 3).trimEnd() : last) + '...';
+  }
+  return { lines, truncated };
+}
+
+// Largest title size that fits in two lines without cutting, else the smallest
+function layoutTitle(title, maxWidth) {
+  for (const scale of [10, 8, 7]) {
+    const layout = wrapText(title, Math.floor((maxWidth + scale) / glyphAdvance(scale)), 2);
+    if (!layout.truncated || scale === 7) return { scale, lines: layout.lines };
+  }
+}
+
+// --- The card ------------------------------------------------------------------
+
+function formatStars(stars) {
+  if (!stars) return '0';
+  return stars >= 1000 ? `${(stars / 1000).toFixed(stars >= 10000 ? 0 : 1)}k` : String(stars);
+}
+
+// post: a forks.json entry; returns the PNG as a Buffer
+function renderShareCard(post, { siteLabel = 'BLOG' } = {}) {
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const white = hexToRgb('#fafafa');
+  const grey = hexToRgb('#a1a1aa');
+  const dim = hexToRgb('#71717a');
+  paintBackground(canvas);
+
+  // Gradient bars top and bottom
+  for (let x = 0; x < WIDTH; x++) {
+    const color = gradientAt(x / (WIDTH - 1));
+    fillRect(canvas, x, 0, 1, 10, color);
+    fillRect(canvas, x, HEIGHT - 4, 1, 4, color, 0.6);
+  }
+
+  drawText(canvas, toFontText(siteLabel), MARGIN, 64, 3, gradientAt(0.5));
+
+  const contentWidth = WIDTH - MARGIN * 2;
+  const title = layoutTitle(toFontText(post.displayName || post.name), contentWidth);
+  let y = 130;
+  for (const line of title.lines) {
+    drawText(canvas, line, MARGIN, y, title.scale, white);
+    y += title.scale * 11;
+  }
+
+  y += 24;
+  const description = wrapText(toFontText(post.description), Math.floor((contentWidth + 4) / glyphAdvance(4)), title.lines.length > 1 ? 2 : 3);
+  for (const line of description.lines) {
+    drawText(canvas, line, MARGIN, y, 4, grey);
+    y += 46;
+  }
+
+  if (post.parent && post.parent.name) {
+    drawText(canvas, toFontText(`Forked from ${post.parent.name}`).slice(0, 56), MARGIN, 488, 3, dim);
+  }
+
+  // Language dot and name, then stars
+  let x = MARGIN;
+  const rowY = 536;
+  if (post.language) {
+    fillCircle(canvas, x + 12, rowY + 16, 12, hexToRgb(langColors[post.language] || '#8b5cf6'));
+    x = drawText(canvas, toFontText(post.language), x + 36, rowY, 4, white) + 48;
+  }
+  x = drawText(canvas, '\u2605', x, rowY, 4, hexToRgb('#facc15')) + 12;
+  drawText(canvas, formatStars(post.stars), x, rowY, 4, white);
+
+  const badge = post.type === 'original' ? 'ORIGINAL' : 'FORK';
+  drawText(canvas, badge, WIDTH - MARGIN - textWidth(badge, 3), rowY + 4, 3, gradientAt(1));
+
+  return encodePng(WIDTH, HEIGHT, canvas.pixels);
+}
+
+module.exports = {
+  SHARE_CARD_WIDTH: WIDTH,
+  SHARE_CARD_HEIGHT: HEIGHT,
+  toFontText,
+  wrapText,
+  renderShareCard
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const { validate, formatErrors } = require('./json-schema');
+const schema = require('../../schemas/site.config.schema.json');
+
+// site.config.json: who the site belongs to, where it lives and how the
+// pipeline runs. The scripts read it through loadSiteConfig(); the static
+// pages get it from scripts/apply-site-config.js, which rewrites elements
+// marked up like
+//   <title data-site-text="Knowledge Graph | {author.name}">...</title>
+//   <a data-site-href="https://github.com/{social.github}" href="...">
+//   <a data-site-if="social.medium" ...>     (hidden when the value is empty)
+// and the <script type="application/json" id="site-config"> block that the
+// pages' own JavaScript reads.
+
+const SITE_CONFIG_FILE = path.join(__dirname, '..', '..', 'site.config.json');
+
+class SiteConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SiteConfigError';
+  }
+}
+
+// Read and validate; adds site.host ("yebeai.github.io") for templates
+function loadSiteConfig(file = SITE_CONFIG_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new SiteConfigError(`Could not read ${path.basename(file)}: ${e.message}`);
+  }
+
+  const errors = validate(config, schema);
+  if (errors.length > 0) {
+    throw new SiteConfigError(`${path.basename(file)} does not match site.config.schema.json (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${formatErrors(errors)}`);
+  }
+
+  const { $schema, ...rest } = config;
+  return { ...rest, site: { ...config.site, host: new URL(config.site.url).host } };
+}
+
+function lookup(config, key) {
+  const value = key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), config);
+  if (value === undefined) throw new SiteConfigError(`Unknown site config key "${key}"`);
+  return value;
+}
+
+// "{author.name} | {author.title}" with values from the config
+function expandTemplate(template, config) {
+  return template.replace(/\{([\w.]+)\}/g, (_, key) => {
+    const value = lookup(config, key);
+    return value === null ? '' : String(value);
+  });
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeHtml(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// The part of the config pages may see: no pipeline settings
+function publicSiteConfig(config) {
+  const { site, author, social, contact } = config;
+  return { site, author, social, contact };
+}
+
+const ATTRIBUTE = /([^\s=/>]+)(?:="([^"]*)")?/g;
+
+function rewriteStartTag(tag, name, attributes, selfClosing, config) {
+  const attrs = [];
+  for (const [, key, value] of attributes.matchAll(ATTRIBUTE)) {
+    attrs.push([key, value === undefined ? null : value]);
+  }
+
+  const set = (key, value) => {
+    const existing = attrs.find(a => a[0] === key);
+    if (existing) existing[1] = value;
+    else attrs.push([key, value]);
+  };
+
+  for (const [key, value] of [...attrs]) {
+    if (!key.startsWith('data-site-') || value === null) continue;
+    const target = key.slice('data-site-'.length);
+    const template = unescapeHtml(value);
+    if (target === 'text') continue; // Handled with the element's content
+    if (target === 'if') {
+      const shown = Boolean(lookup(config, template));
+      const index = attrs.findIndex(a => a[0] === 'hidden');
+      if (shown && index !== -1) attrs.splice(index, 1);
+      if (!shown && index === -1) attrs.push(['hidden', null]);
+      continue;
+    }
+    set(target, escapeHtml(expandTemplate(template, config)));
+  }
+
+  const rendered = attrs.map(([key, value]) => (value === null ? key : `${key}="${value}"`)).join(' ');
+  return `<${name} ${rendered}${selfClosing ? ' /' : ''}>`;
+}
+
+// Rewrite every data-site-* element and the site-config JSON block. Applying
+// twice gives the same result, so pages can be re-run after each config edit.
+function applySiteConfig(html, config) {
+  let out = html.replace(/<([a-zA-Z][\w-]*)\s((?:[^>"]|"[^"]*")*?data-site-(?:[^>"]|"[^"]*")*?)\s*(\/?)>/g,
+    (tag, name, attributes, selfClosing) => rewriteStartTag(tag, name, attributes, selfClosing === '/', config));
+
+  // Text content; only for elements without child elements
+  out = out.replace(/(<([a-zA-Z][\w-]*)\s[^>]*\bdata-site-text="([^"]*)"[^>]*>)[^<]*(<\/\2>)/g,
+    (_, open, name, template, close) => `${open}${escapeHtml(expandTemplate(unescapeHtml(template), config))}${close}`);
+
+  const json = JSON.stringify(publicSiteConfig(config)).replace(/</g, '\\u003c');
+  out = out.replace(/(<script type="application\/json" id="site-config">)[\s\S]*?(<\/script>)/,
+    (_, open, close) => `${open}${json}${close}`);
+
+  return out;
+}
+
+module.exports = {
+  SITE_CONFIG_FILE,
+  SiteConfigError,
+  loadSiteConfig,
+  expandTemplate,
+  publicSiteConfig,
+  applySiteConfig
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { visibleEntries } = require('./curation');
+
+// The files index.html and knowledge-graph.html load, split out of forks.json
+// so a visit doesn't download every article body:
+//   data/index.json            card fields of every visible project
+//   data/projects/<name>.json  one project's full entry, fetched when its card
+//                              is expanded
+//   data/knowledge-graph.json  what knowledge-graph.html draws
+// forks.json stays the pipeline's record and what the other scripts read.
+// Hidden entries get no files, and files are only rewritten when their
+// content changes.
+
+const DATA_DIR = 'data';
+const EXCERPT_LENGTH = 300; // Characters a collapsed card shows before "Read more"
+
+// Relative to the site root, as the pages fetch it
+function detailPath(name) {
+  return `${DATA_DIR}/projects/${name}.json`;
+}
+
+// Whole paragraphs from the top of the article until EXCERPT_LENGTH is
+// reached. Code blocks are left for the full article.
+function excerpt(summary) {
+  const blocks = [];
+  let length = 0;
+  for (const block of (summary || '').split(/\n{2,}/)) {
+    if (length >= EXCERPT_LENGTH) break;
+    if (block.startsWith('```')) break;
+    blocks.push(block);
+    length += block.length;
+  }
+  return blocks.join('\n\n');
+}
+
+// What a project card needs, and enough to search and filter on
+function cardFields(entry) {
+  const text = excerpt(entry.summary);
+  return {
+    id: entry.id,
+    name: entry.name,
+    displayName: entry.displayName,
+    description: entry.description,
+    tldr: entry.tldr,
+    excerpt: text,
+    more: text.length < (entry.summary || '').length,
+    url: entry.url,
+    language: entry.language,
+    stars: entry.stars,
+    type: entry.type,
+    image: entry.image,
+    readTime: entry.readTime,
+    updatedAt: entry.updatedAt,
+    parent: entry.parent,
+    upstream: entry.upstream ? { state: entry.upstream.state, label: entry.upstream.label } : undefined,
+    tags: entry.tags,
+    audience: entry.audience,
+    difficulty: entry.difficulty,
+    stack: entry.stack ? {
+      technologies: entry.stack.technologies.map(t => ({ name: t.name })),
+      groups: entry.stack.groups.map(g => ({ id: g.id, name: g.name }))
+    } : undefined,
+    related: entry.related ? entry.related.map(r => ({ name: r.name, reasons: r.reasons })) : undefined,
+    curation: entry.curation,
+    detail: detailPath(entry.name)
+  };
+}
+
+function graphFields(entry) {
+  return {
+    name: entry.name,
+    displayName: entry.displayName,
+    description: entry.description,
+    language: entry.language,
+    stars: entry.stars,
+    stack: entry.stack,
+    knowledgeGraph: entry.knowledgeGraph || null
+  };
+}
+
+// data/index.json: the feed's header fields and one card per visible project
+function buildIndex(data) {
+  const projects = visibleEntries(data.forks);
+  return {
+    schemaVersion: data.schemaVersion,
+    lastUpdated: data.lastUpdated,
+    generatedWith: data.generatedWith,
+    totalRepos: projects.length,
+    progress: data.progress,
+    featured: data.featured,
+    collections: data.collections,
+    projects: projects.map(cardFields)
+  };
+}
+
+function buildKnowledgeGraphBundle(data) {
+  return {
+    schemaVersion: data.schemaVersion,
+    lastUpdated: data.lastUpdated,
+    projects: visibleEntries(data.forks).map(graphFields)
+  };
+}
+
+// Writes the page data for a validated forks.json object and removes the
+// detail files of projects that are gone or hidden. Returns counts.
+function writeSiteData(data, dir = DATA_DIR) {
+  const projectsDir = path.join(dir, 'projects');
+  fs.mkdirSync(projectsDir, { recursive: true });
+  const result = { written: 0, removed: 0 };
+  const write = (file, value) => {
+    const json = JSON.stringify(value) + '\n';
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === json) return;
+    fs.writeFileSync(file, json);
+    result.written++;
+  };
+
+  write(path.join(dir, 'index.json'), buildIndex(data));
+  write(path.join(dir, 'knowledge-graph.json'), buildKnowledgeGraphBundle(data));
+
+  const current = new Set();
+  for (const entry of visibleEntries(data.forks)) {
+    current.add(`${entry.name}.json`);
+    write(path.join(projectsDir, `${entry.name}.json`), entry);
+  }
+  for (const file of fs.readdirSync(projectsDir)) {
+    if (file.endsWith('.json') && !current.has(file)) {
+      fs.unlinkSync(path.join(projectsDir, file));
+      result.removed++;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  DATA_DIR,
+  buildIndex,
+  buildKnowledgeGraphBundle,
+  writeSiteData
+};
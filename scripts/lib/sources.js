@@ -0,0 +1,103 @@
+const { matchesAny } = require('./glob');
+
+// Where the feed's repos come from. Each source is one GitHub listing:
+//   { type: 'user', name: 'moses-y' }          repos owned by a user
+//   { type: 'org', name: 'acme' }              repos of an organization
+//   { type: 'starred', name: 'moses-y' }       repos a user has starred
+//   { type: 'repos', repos: ['owner/name'] }   an explicit allowlist
+// with optional rules of its own:
+//   include: ['*']       globs a repo must match (name or owner/name)
+//   exclude: []          globs that drop a repo
+//   forks: true          false drops forks, 'only' keeps nothing but forks
+//   archived: false      keep archived repos
+// Every entry in forks.json records the id of the source that listed it.
+
+const SOURCE_TYPES = ['user', 'org', 'starred', 'repos'];
+
+// Bad sources config: thrown before anything is fetched
+class SourceConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SourceConfigError';
+  }
+}
+
+function checkGlobs(value, field, label) {
+  if (value === undefined) return;
+  if (!Array.isArray(value) || value.some(g => typeof g !== 'string' || !g)) {
+    throw new SourceConfigError(`${label}: ${field} must be a list of glob strings`);
+  }
+}
+
+// Fills in defaults and an id ("user:moses-y", "repos") per source
+function normalizeSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new SourceConfigError('At least one source is required');
+  }
+
+  const ids = new Set();
+  return sources.map((source, index) => {
+    const label = `sources[${index}]`;
+    if (!source || !SOURCE_TYPES.includes(source.type)) {
+      throw new SourceConfigError(`${label}: type must be one of ${SOURCE_TYPES.join(', ')}`);
+    }
+    if (source.type === 'repos') {
+      if (!Array.isArray(source.repos) || source.repos.length === 0 ||
+        source.repos.some(r => typeof r !== 'string' || !/^[^/\s]+\/[^/\s]+$/.test(r))) {
+        throw new SourceConfigError(`${label}: repos must list "owner/name" strings`);
+      }
+    } else if (typeof source.name !== 'string' || !source.name) {
+      throw new SourceConfigError(`${label}: ${source.type} sources need a name`);
+    }
+    checkGlobs(source.include, 'include', label);
+    checkGlobs(source.exclude, 'exclude', label);
+    if (source.forks !== undefined && ![true, false, 'only'].includes(source.forks)) {
+      throw new SourceConfigError(`${label}: forks must be true, false or "only"`);
+    }
+
+    const id = source.id || (source.type === 'repos' ? 'repos' : `${source.type}:${source.name}`);
+    if (ids.has(id)) throw new SourceConfigError(`${label}: duplicate source id "${id}"`);
+    ids.add(id);
+
+    return {
+      id,
+      type: source.type,
+      name: source.name || null,
+      repos: source.repos || [],
+      include: source.include || ['*'],
+      exclude: source.exclude || [],
+      forks: source.forks === undefined ? true : source.forks,
+      archived: Boolean(source.archived)
+    };
+  });
+}
+
+// Paged listing endpoint for user, org and starred sources
+function listingPath(source, page) {
+  const owner = encodeURIComponent(source.name);
+  switch (source.type) {
+    case 'user': return `/users/${owner}/repos?sort=updated&per_page=100&page=${page}`;
+    case 'org': return `/orgs/${owner}/repos?type=all&sort=updated&per_page=100&page=${page}`;
+    case 'starred': return `/users/${owner}/starred?sort=updated&per_page=100&page=${page}`;
+    default: throw new Error(`${source.type} sources are not paged`);
+  }
+}
+
+// Whether a listed repo passes the source's own rules
+function acceptsRepo(source, repo) {
+  const names = [repo.name, repo.full_name].filter(Boolean);
+  if (!names.some(name => matchesAny(name, source.include))) return false;
+  if (names.some(name => matchesAny(name, source.exclude))) return false;
+  if (source.forks === false && repo.fork) return false;
+  if (source.forks === 'only' && !repo.fork) return false;
+  if (repo.archived && !source.archived) return false;
+  return true;
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  SourceConfigError,
+  normalizeSources,
+  listingPath,
+  acceptsRepo
+};
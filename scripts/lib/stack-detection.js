@@ -0,0 +1,137 @@
+// Framework and tooling detection. buildKnowledgeGraph counts languages by
+// file extension; these rules look for the frameworks and tools behind them
+// (Next.js, FastAPI, PyTorch, Docker...) in the file tree, the parsed
+// manifests and GitHub's primary language. Every detection keeps the evidence
+// that triggered it, so a wrong label can be traced back to a rule.
+//
+// Detected technologies roll up into groups ("LLM agents", "FastAPI
+// services") that the homepage and knowledge graph filter by.
+
+const STACK_VERSION = 1;
+
+// files: regexes on the repo path; packages: { ecosystem: [names or regexes] };
+// languages: GitHub primary language names
+const RULES = [
+  // Web frameworks
+  { id: 'nextjs', name: 'Next.js', category: 'framework', files: [/(^|\/)next\.config\.(js|mjs|cjs|ts)$/], packages: { npm: ['next'] } },
+  { id: 'react', name: 'React', category: 'framework', packages: { npm: ['react'] } },
+  { id: 'vue', name: 'Vue', category: 'framework', files: [/\.vue$/], packages: { npm: ['vue', 'nuxt'] } },
+  { id: 'svelte', name: 'Svelte', category: 'framework', files: [/\.svelte$/, /(^|\/)svelte\.config\.js$/], packages: { npm: ['svelte', '@sveltejs/kit'] } },
+  { id: 'express', name: 'Express', category: 'framework', packages: { npm: ['express'] } },
+  { id: 'django', name: 'Django', category: 'framework', files: [/(^|\/)manage\.py$/, /(^|\/)settings\.py$/], packages: { pypi: ['django'] } },
+  { id: 'flask', name: 'Flask', category: 'framework', packages: { pypi: ['flask'] } },
+  { id: 'fastapi', name: 'FastAPI', category: 'framework', packages: { pypi: ['fastapi'] } },
+  { id: 'streamlit', name: 'Streamlit', category: 'framework', packages: { pypi: ['streamlit'] } },
+  { id: 'gradio', name: 'Gradio', category: 'framework', packages: { pypi: ['gradio'] } },
+  { id: 'rails', name: 'Rails', category: 'framework', files: [/(^|\/)config\/routes\.rb$/] },
+  { id: 'laravel', name: 'Laravel', category: 'framework', files: [/(^|\/)artisan$/] },
+  { id: 'actix', name: 'Actix Web', category: 'framework', packages: { cargo: ['actix-web'] } },
+  { id: 'axum', name: 'Axum', category: 'framework', packages: { cargo: ['axum'] } },
+  { id: 'gin', name: 'Gin', category: 'framework', packages: { go: ['github.com/gin-gonic/gin'] } },
+
+  // Machine learning
+  { id: 'pytorch', name: 'PyTorch', category: 'ml', packages: { pypi: ['torch', 'pytorch-lightning', 'lightning'] } },
+  { id: 'tensorflow', name: 'TensorFlow', category: 'ml', packages: { pypi: ['tensorflow', 'keras'] } },
+  { id: 'jax', name: 'JAX', category: 'ml', packages: { pypi: ['jax', 'flax'] } },
+  { id: 'scikit-learn', name: 'scikit-learn', category: 'ml', packages: { pypi: ['scikit-learn', 'sklearn'] } },
+  { id: 'huggingface', name: 'Hugging Face', category: 'ml', packages: { pypi: ['transformers', 'diffusers', 'datasets', 'huggingface-hub'] } },
+  { id: 'pandas', name: 'pandas', category: 'data', packages: { pypi: ['pandas', 'polars'] } },
+  { id: 'jupyter', name: 'Jupyter', category: 'data', files: [/\.ipynb$/], languages: ['Jupyter Notebook'] },
+
+  // LLM tooling
+  { id: 'langchain', name: 'LangChain', category: 'llm', packages: { pypi: [/^langchain/, /^langgraph/], npm: ['langchain', /^@langchain\//] } },
+  { id: 'llamaindex', name: 'LlamaIndex', category: 'llm', packages: { pypi: [/^llama-index/, 'llama_index'], npm: ['llamaindex'] } },
+  { id: 'openai', name: 'OpenAI SDK', category: 'llm', packages: { pypi: ['openai'], npm: ['openai'] } },
+  { id: 'anthropic', name: 'Anthropic SDK', category: 'llm', packages: { pypi: ['anthropic'], npm: ['@anthropic-ai/sdk'] } },
+  { id: 'agent-frameworks', name: 'Agent framework', category: 'llm', packages: { pypi: ['crewai', 'autogen', 'pyautogen', 'smolagents', 'pydantic-ai', 'agno'], npm: ['ai', '@mastra/core'] } },
+  { id: 'mcp', name: 'MCP', category: 'llm', packages: { pypi: ['mcp', 'fastmcp'], npm: ['@modelcontextprotocol/sdk'] } },
+  { id: 'ollama', name: 'Ollama', category: 'llm', packages: { pypi: ['ollama'], npm: ['ollama'] } },
+  { id: 'vector-db', name: 'Vector database', category: 'llm', packages: { pypi: ['chromadb', 'faiss-cpu', 'faiss-gpu', 'pinecone-client', 'pinecone', 'qdrant-client', 'weaviate-client', 'pgvector'] } },
+
+  // Infrastructure and CI
+  { id: 'docker', name: 'Docker', category: 'infra', files: [/(^|\/)dockerfile(\.[\w-]+)?$/i, /(^|\/)docker-compose\.ya?ml$/, /(^|\/)compose\.ya?ml$/], languages: ['Dockerfile'] },
+  { id: 'kubernetes', name: 'Kubernetes', category: 'infra', files: [/(^|\/)(k8s|kubernetes|helm|charts)\//, /(^|\/)Chart\.yaml$/] },
+  { id: 'terraform', name: 'Terraform', category: 'infra', files: [/\.tf$/], languages: ['HCL'] },
+  { id: 'github-actions', name: 'GitHub Actions', category: 'ci', files: [/^\.github\/workflows\/[^/]+\.ya?ml$/] },
+
+  // CLI tooling
+  { id: 'cli', name: 'CLI', category: 'tooling', packages: { pypi: ['click', 'typer', 'fire'], npm: ['commander', 'yargs', 'oclif'], go: ['github.com/spf13/cobra', 'github.com/urfave/cli/v2'], cargo: ['clap'] } }
+];
+
+// A group applies when any of its technologies is detected
+const GROUPS = [
+  { id: 'llm-agents', name: 'LLM agents', any: ['langchain', 'llamaindex', 'agent-frameworks', 'mcp', 'openai', 'anthropic', 'ollama'] },
+  { id: 'fastapi-services', name: 'FastAPI services', any: ['fastapi'] },
+  { id: 'web-apps', name: 'Web apps', any: ['nextjs', 'react', 'vue', 'svelte', 'django', 'flask', 'rails', 'laravel'] },
+  { id: 'ml', name: 'Machine learning', any: ['pytorch', 'tensorflow', 'jax', 'scikit-learn', 'huggingface'] },
+  { id: 'data-science', name: 'Data science', any: ['jupyter', 'pandas', 'streamlit'] },
+  { id: 'infrastructure', name: 'Infrastructure', any: ['docker', 'kubernetes', 'terraform'] },
+  { id: 'cli-tools', name: 'CLI tools', any: ['cli'] }
+];
+
+function matchesName(patterns, name) {
+  const lower = name.toLowerCase();
+  return patterns.some(p => (p instanceof RegExp ? p.test(lower) : p === lower));
+}
+
+// Evidence is capped per rule so a repo with 300 notebooks stays readable
+function evidenceFor(rule, fileTree, packages, language) {
+  const evidence = [];
+
+  for (const pattern of rule.files || []) {
+    const matched = fileTree.filter(path => pattern.test(path));
+    evidence.push(...matched.slice(0, 3).map(path => `file ${path}`));
+    if (matched.length > 3) evidence.push(`...and ${matched.length - 3} more files`);
+  }
+  for (const [ecosystem, names] of Object.entries(rule.packages || {})) {
+    for (const pkg of packages) {
+      if (pkg.ecosystem === ecosystem && matchesName(names, pkg.name)) {
+        evidence.push(`${pkg.dev ? 'dev ' : ''}dependency ${pkg.name}${pkg.version ? ` ${pkg.version}` : ''} in ${pkg.manifest}`);
+      }
+    }
+  }
+  if (language && (rule.languages || []).includes(language)) {
+    evidence.push(`GitHub language ${language}`);
+  }
+  return evidence;
+}
+
+// fileTree: repo paths; packages: knowledgeGraph.packages; language: GitHub's
+// primary language. Returns { version, technologies, groups }.
+function detectStack(fileTree, packages = [], { language = null } = {}) {
+  const technologies = [];
+  for (const rule of RULES) {
+    const evidence = evidenceFor(rule, fileTree, packages, language);
+    if (evidence.length > 0) {
+      technologies.push({ id: rule.id, name: rule.name, category: rule.category, evidence });
+    }
+  }
+
+  const ids = new Set(technologies.map(t => t.id));
+  const groups = GROUPS
+    .filter(group => group.any.some(id => ids.has(id)))
+    .map(({ id, name }) => ({ id, name }));
+
+  return { version: STACK_VERSION, technologies, groups };
+}
+
+// For entries written before stack detection: the knowledge graph keeps only
+// the interesting paths (entry points, config, manifests), not the whole tree
+function detectStackFromKnowledgeGraph(knowledgeGraph, options) {
+  const kg = knowledgeGraph || {};
+  const files = [
+    ...(kg.entryPoints || []),
+    ...(kg.configFiles || []),
+    ...(kg.dependencies || []),
+    ...(kg.testFiles || []),
+    ...(kg.docs || [])
+  ];
+  return detectStack(files, kg.packages || [], options);
+}
+
+module.exports = {
+  STACK_VERSION,
+  GROUPS,
+  detectStack,
+  detectStackFromKnowledgeGraph
+};
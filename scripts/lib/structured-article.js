@@ -0,0 +1,99 @@
+const schema = require('../../schemas/article.schema.json');
+const { validate, formatErrors } = require('./json-schema');
+
+// Article prompts (prompts/partials/output.md) ask for one JSON object,
+// checked against schemas/article.schema.json:
+//   { title, tldr, sections: [{ heading, body }], tags, audience, difficulty }
+// Entries store those fields as they are, plus `summary`: the sections as one
+// markdown article, which quality scoring, grounding, translation and older
+// readers of forks.json work from.
+
+const ARTICLE_FIELDS = ['title', 'tldr', 'sections', 'tags', 'audience', 'difficulty'];
+
+function normalizeArticle(data) {
+  return {
+    title: data.title.trim(),
+    tldr: data.tldr.trim(),
+    sections: data.sections.map(s => ({ heading: s.heading.replace(/^#+\s*/, '').trim(), body: s.body.trim() })),
+    tags: [...new Set(data.tags.map(t => t.trim().toLowerCase().replace(/\s+/g, '-')))].slice(0, 6),
+    audience: data.audience.trim(),
+    difficulty: data.difficulty
+  };
+}
+
+const headingKey = heading => heading.replace(/^#+\s*/, '').trim().toLowerCase();
+
+// The outermost {...} of a reply, which drops a ```json fence and any text
+// the model put before or after the object
+function jsonObjectText(content) {
+  const text = (content || '').trim();
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+// { article, error }: the normalized article, or what is wrong with the reply
+// in words the model can act on. `sections` are the headings the prompt asked
+// for; the reply must use exactly those, in that order.
+function parseArticle(content, { sections = null } = {}) {
+  const text = jsonObjectText(content);
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { article: null, error: `is not valid JSON (${e.message})` };
+  }
+  const errors = validate(data, schema);
+  if (errors.length > 0) {
+    return { article: null, error: `doesn't match the format:\n${formatErrors(errors, 10)}` };
+  }
+  const article = normalizeArticle(data);
+  if (sections && article.sections.map(s => headingKey(s.heading)).join('\n') !== sections.map(headingKey).join('\n')) {
+    const quote = list => list.map(h => `"${h}"`).join(', ');
+    return {
+      article: null,
+      error: `has the sections ${quote(article.sections.map(s => s.heading))}, but they must be exactly ${quote(sections)}, in that order`
+    };
+  }
+  return { article, error: null };
+}
+
+// Follow-up turn after a reply parseArticle rejected
+function retryMessage(error) {
+  return `Your reply ${error}
+
+Reply again with only the JSON object described above: no text before or after it, and newlines and quotes inside strings escaped as JSON requires.`;
+}
+
+function articleMarkdown(sections) {
+  return sections.map(s => `## ${s.heading}\n\n${s.body}`).join('\n\n');
+}
+
+// [{ heading, body }] from the "## " blocks of a markdown article, for
+// articles that only exist as markdown (content/ overrides, older entries)
+function sectionsFromMarkdown(markdown) {
+  return (markdown || '').split(/^(?=## )/m)
+    .filter(block => block.startsWith('## '))
+    .map(block => {
+      const [heading, ...body] = block.split('\n');
+      return { heading: heading.slice(3).trim(), body: body.join('\n').trim() };
+    });
+}
+
+// The structured fields an entry has, for carrying them over to a new entry
+function articleFields(entry) {
+  const fields = {};
+  for (const key of ARTICLE_FIELDS) {
+    if (entry && entry[key] !== undefined) fields[key] = entry[key];
+  }
+  return fields;
+}
+
+module.exports = {
+  ARTICLE_FIELDS,
+  parseArticle,
+  retryMessage,
+  articleMarkdown,
+  sectionsFromMarkdown,
+  articleFields
+};
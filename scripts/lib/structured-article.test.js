@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArticle, articleMarkdown, sectionsFromMarkdown } = require('./structured-article');
+
+const SECTIONS = ['The Problem', 'The Bottom Line'];
+
+function reply(fields = {}) {
+  return {
+    title: 'Tree, explained',
+    tldr: 'A tree that explains itself',
+    sections: [
+      { heading: 'The Problem', body: 'Problem text.' },
+      { heading: 'The Bottom Line', body: 'Bottom line text.' }
+    ],
+    tags: ['Machine Learning', 'llm', 'llm'],
+    audience: 'Python developers',
+    difficulty: 'beginner',
+    ...fields
+  };
+}
+
+test('parseArticle normalizes a valid reply', () => {
+  const { article, error } = parseArticle(JSON.stringify(reply({
+    sections: [
+      { heading: '## The Problem', body: '  Problem text.\n' },
+      { heading: 'The Bottom Line', body: 'Bottom line text.' }
+    ]
+  })), { sections: SECTIONS });
+  assert.equal(error, null);
+  assert.deepEqual(article.sections.map(s => s.heading), SECTIONS);
+  assert.equal(article.sections[0].body, 'Problem text.');
+  assert.deepEqual(article.tags, ['machine-learning', 'llm']);
+});
+
+test('parseArticle finds the object inside a fence or around other text', () => {
+  const json = JSON.stringify(reply(), null, 2);
+  for (const content of [
+    `\`\`\`json\n${json}\n\`\`\``,
+    `Here is the article:\n\n\`\`\`json\n${json}\n\`\`\`\n`,
+    `Sure! ${json} Let me know if you want changes.`
+  ]) {
+    const { article, error } = parseArticle(content, { sections: SECTIONS });
+    assert.equal(error, null, content);
+    assert.equal(article.title, 'Tree, explained');
+  }
+});
+
+test('parseArticle rejects replies that are not JSON', () => {
+  for (const content of ['', null, 'I cannot write this article.', '{"title": "Tree",}']) {
+    const { article, error } = parseArticle(content);
+    assert.equal(article, null);
+    assert.match(error, /^is not valid JSON \(/);
+  }
+});
+
+test('parseArticle rejects replies that do not match the schema', () => {
+  const { article, error } = parseArticle(JSON.stringify(reply({ difficulty: 'expert', tldr: undefined })));
+  assert.equal(article, null);
+  assert.match(error, /^doesn't match the format:\n/);
+  assert.match(error, /\/tldr is required/);
+  assert.match(error, /\/difficulty must be one of "beginner", "intermediate", "advanced"/);
+
+  assert.match(parseArticle('[]').error, /doesn't match the format/);
+  assert.match(parseArticle(JSON.stringify(reply({ title: 'Two\nlines' }))).error, /\/title/);
+});
+
+test('parseArticle rejects sections other than the ones asked for', () => {
+  const swapped = reply({ sections: [...reply().sections].reverse() });
+  assert.equal(parseArticle(JSON.stringify(swapped), { sections: SECTIONS }).error,
+    'has the sections "The Bottom Line", "The Problem", but they must be exactly "The Problem", "The Bottom Line", in that order');
+
+  const missing = reply({ sections: reply().sections.slice(0, 1) });
+  assert.match(parseArticle(JSON.stringify(missing), { sections: SECTIONS }).error, /^has the sections "The Problem", but/);
+  // Headings compare without case, and any sections pass when none were asked for
+  const lower = reply({ sections: reply().sections.map(s => ({ ...s, heading: s.heading.toLowerCase() })) });
+  assert.equal(parseArticle(JSON.stringify(lower), { sections: SECTIONS }).error, null);
+  assert.equal(parseArticle(JSON.stringify(missing)).error, null);
+});
+
+test('articleMarkdown and sectionsFromMarkdown round-trip', () => {
+  const sections = reply().sections;
+  assert.deepEqual(sectionsFromMarkdown(articleMarkdown(sections)), sections);
+  assert.deepEqual(sectionsFromMarkdown('Intro only'), []);
+});
@@ -0,0 +1,68 @@
+const { estimateTokens } = require('./context-packer');
+
+// Token usage and estimated cost of the AI calls in one run. Providers report
+// usage when they can; when they don't (the stub, some OpenAI-compatible
+// servers) the tokens are estimated from the text and the totals say so.
+// Costs use the per-million-token prices in CONFIG.llm.pricing; a model
+// without a price counts tokens but no cost.
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function estimateCost(model, promptTokens, completionTokens, pricing) {
+  const price = pricing[model];
+  if (!price) return null;
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+function createUsageTracker(pricing = {}) {
+  const calls = [];
+
+  return {
+    calls,
+
+    // One completed call; `purpose` is article, revision or translation, and
+    // `context` what the context packer fitted into the prompt
+    record({ model, purpose, repo, usage, messages, content, context = null }) {
+      const reported = usage && usage.promptTokens != null && usage.completionTokens != null;
+      const promptTokens = reported ? usage.promptTokens : estimateTokens(messages.map(m => m.content).join('\n'));
+      const completionTokens = reported ? usage.completionTokens : estimateTokens(content);
+      calls.push({
+        model,
+        purpose,
+        repo,
+        promptTokens,
+        completionTokens,
+        estimated: !reported,
+        costUsd: estimateCost(model, promptTokens, completionTokens, pricing),
+        context
+      });
+    },
+
+    // { calls, promptTokens, completionTokens, estimated, costUsd, byModel }
+    // over the calls `filter` accepts
+    totals(filter = () => true) {
+      const selected = calls.filter(filter);
+      const sum = list => ({
+        calls: list.length,
+        promptTokens: list.reduce((n, c) => n + c.promptTokens, 0),
+        completionTokens: list.reduce((n, c) => n + c.completionTokens, 0),
+        estimated: list.some(c => c.estimated),
+        costUsd: round(list.reduce((n, c) => n + (c.costUsd || 0), 0), 4),
+        unpriced: list.filter(c => c.costUsd === null).length
+      });
+      const byModel = {};
+      for (const model of new Set(selected.map(c => c.model))) {
+        byModel[model] = sum(selected.filter(c => c.model === model));
+      }
+      return { ...sum(selected), byModel };
+    }
+  };
+}
+
+module.exports = {
+  estimateCost,
+  createUsageTracker
+};
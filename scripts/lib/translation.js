@@ -0,0 +1,128 @@
+const { hashText } = require('./fingerprint');
+
+// Translations of the published article (headline, description and summary, after
+// content/ overrides) into the locales listed in site.config.json. Each one is
+// stored under entry.translations[<code>] with a hash of the English it was
+// made from, so a locale is only redone when the English changes or its last
+// attempt failed the checks below.
+
+const TRANSLATION_CHECK_VERSION = 1;
+
+// The post's headline: the AI article's title, else the project name
+function headline(entry) {
+  return entry.title || entry.displayName;
+}
+
+// What a translation is made from; a new hash means a new translation
+function translationSource(entry) {
+  return hashText([headline(entry), entry.description || '', entry.summary].join('\n\n'));
+}
+
+// True when the stored translation is current and good enough to keep
+function isTranslationCurrent(entry, locale) {
+  const stored = entry.translations && entry.translations[locale.code];
+  return Boolean(stored && stored.source === translationSource(entry) && stored.quality.passed);
+}
+
+function translationMessages(entry, locale) {
+  const prompt = `Translate this technical blog post from English into ${locale.language}.
+
+TRANSLATE TO: ${locale.language} (${locale.code})
+
+TITLE: ${headline(entry)}
+DESCRIPTION: ${entry.description || ''}
+
+ARTICLE:
+${entry.summary}
+
+RULES:
+- Keep the markdown exactly: the same "## " headings (translated), paragraphs, lists and code blocks
+- Leave everything in \`inline code\` and code blocks untouched, and keep project, library and file names in English
+- Keep the tone: direct and informal, like a developer talking to a coworker
+- Use the technical terms a ${locale.language}-speaking developer would actually use; don't invent translations for them
+
+Reply in exactly this format and nothing else:
+TITLE: <translated title>
+DESCRIPTION: <translated description>
+ARTICLE:
+<translated article>`;
+
+  return [
+    { role: 'system', content: `You are a careful technical translator who writes natural ${locale.language}.` },
+    { role: 'user', content: prompt }
+  ];
+}
+
+// { title, description, summary } from the model's reply, or null
+function parseTranslation(content) {
+  const match = /^\s*TITLE:[ \t]*(.+)\r?\nDESCRIPTION:[ \t]*(.*)\r?\nARTICLE:[ \t]*\r?\n([\s\S]+)$/.exec(content || '');
+  if (!match) return null;
+  return { title: match[1].trim(), description: match[2].trim(), summary: match[3].trim() };
+}
+
+const inlineCode = text => text.replace(/```[\s\S]*?```/g, '').match(/`[^`\n]+`/g) || [];
+const codeBlocks = text => text.match(/```[\s\S]*?```/g) || [];
+const headings = text => text.match(/^## .+$/gm) || [];
+const prose = text => text
+  .replace(/```[\s\S]*?```/g, '')
+  .split(/\n\s*\n/)
+  .map(block => block.trim())
+  .filter(block => block && !block.startsWith('## '));
+
+// 0-100 like article quality, but about faithfulness to the English rather
+// than style: structure, untouched code, length and whether it was
+// translated at all
+function checkTranslation(entry, translation, { minScore = 60 } = {}) {
+  const reasons = [];
+  let score = 100;
+
+  if (!translation.title) {
+    score -= 20;
+    reasons.push('missing title');
+  }
+
+  const sourceHeadings = headings(entry.summary).length;
+  const translatedHeadings = headings(translation.summary).length;
+  if (sourceHeadings !== translatedHeadings) {
+    score -= 30;
+    reasons.push(`${translatedHeadings} sections, the English has ${sourceHeadings}`);
+  }
+
+  const translatedCode = new Set(inlineCode(translation.summary));
+  const missing = [...new Set(inlineCode(entry.summary))].filter(code => !translatedCode.has(code));
+  if (missing.length > 0) {
+    score -= Math.min(30, missing.length * 10);
+    reasons.push(`inline code changed or dropped: ${missing.slice(0, 5).join(', ')}`);
+  }
+
+  const blocks = codeBlocks(translation.summary);
+  if (codeBlocks(entry.summary).some(block => !blocks.includes(block))) {
+    score -= 20;
+    reasons.push('code blocks changed');
+  }
+
+  const ratio = translation.summary.length / Math.max(1, entry.summary.length);
+  if (ratio < 0.6 || ratio > 1.8) {
+    score -= 20;
+    reasons.push(`length is ${ratio.toFixed(2)}× the English`);
+  }
+
+  const english = new Set(prose(entry.summary));
+  const paragraphs = prose(translation.summary);
+  const untranslated = paragraphs.filter(p => english.has(p)).length;
+  if (paragraphs.length > 0 && untranslated / paragraphs.length > 0.3) {
+    score -= 50;
+    reasons.push(`${untranslated} of ${paragraphs.length} paragraphs left in English`);
+  }
+
+  score = Math.max(0, score);
+  return { version: TRANSLATION_CHECK_VERSION, score, passed: score >= minScore, reasons };
+}
+
+module.exports = {
+  translationSource,
+  isTranslationCurrent,
+  translationMessages,
+  parseTranslation,
+  checkTranslation
+};
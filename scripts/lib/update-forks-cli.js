@@ -0,0 +1,86 @@
+const { parseArgs } = require('util');
+
+// Command-line flags for update-forks.js. Every flag overrides a CONFIG
+// default for a single run; nothing here is persisted.
+
+const USAGE = `Usage: node scripts/update-forks.js [options]
+
+Options:
+  --only <repo>        Only process this repo (repeatable)
+  --exclude <glob>     Skip repos matching this glob, e.g. "*-demo" (repeatable)
+  --since <date>       Only process repos updated on or after this date
+  --force              Regenerate articles even when the existing one is good
+  --outdated-prompts   Regenerate articles written with an older prompt template version
+  --batch-size <n>     Max articles to generate this run
+  --model <name>       Use a single model instead of the provider's rotation
+  --dry-run            Print what would change; writes nothing, skips drift refetches
+  -h, --help           Show this help
+
+Repos outside --only/--exclude/--since keep their current entry untouched.
+A run regenerates at most --batch-size articles, --force and
+--outdated-prompts included; queued repos past the batch keep their current
+entry until a later run.`;
+
+// Bad flags or flag values; callers print the message together with USAGE
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function parseCliArgs(argv) {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: argv,
+      options: {
+        only: { type: 'string', multiple: true },
+        exclude: { type: 'string', multiple: true },
+        since: { type: 'string' },
+        force: { type: 'boolean' },
+        'outdated-prompts': { type: 'boolean' },
+        'batch-size': { type: 'string' },
+        model: { type: 'string' },
+        'dry-run': { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  let batchSize = null;
+  if (values['batch-size'] !== undefined) {
+    batchSize = Number(values['batch-size']);
+    if (!Number.isInteger(batchSize) || batchSize < 0) {
+      throw new UsageError(`--batch-size must be a non-negative integer, got "${values['batch-size']}"`);
+    }
+  }
+
+  let since = null;
+  if (values.since !== undefined) {
+    since = new Date(values.since);
+    if (isNaN(since)) {
+      throw new UsageError(`--since must be a date (e.g. 2026-01-31), got "${values.since}"`);
+    }
+  }
+
+  return {
+    only: values.only || [],
+    exclude: values.exclude || [],
+    since,
+    force: Boolean(values.force),
+    outdatedPrompts: Boolean(values['outdated-prompts']),
+    batchSize,
+    model: values.model || null,
+    dryRun: Boolean(values['dry-run']),
+    help: Boolean(values.help)
+  };
+}
+
+module.exports = {
+  USAGE,
+  UsageError,
+  parseCliArgs
+};
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UsageError, parseCliArgs } = require('./update-forks-cli');
+
+test('no flags gives the defaults', () => {
+  assert.deepEqual(parseCliArgs([]), {
+    only: [],
+    exclude: [],
+    since: null,
+    force: false,
+    outdatedPrompts: false,
+    batchSize: null,
+    model: null,
+    dryRun: false,
+    help: false
+  });
+});
+
+test('parses every flag, with --only and --exclude repeatable', () => {
+  const cli = parseCliArgs([
+    '--only', 'tree', '--only', 'Forest',
+    '--exclude', '*-demo', '--exclude', 'awesome-*',
+    '--since', '2026-01-31',
+    '--force', '--outdated-prompts', '--dry-run',
+    '--batch-size', '25',
+    '--model', 'gpt-4o'
+  ]);
+  assert.deepEqual(cli.only, ['tree', 'Forest']);
+  assert.deepEqual(cli.exclude, ['*-demo', 'awesome-*']);
+  assert.equal(cli.since.toISOString(), '2026-01-31T00:00:00.000Z');
+  assert.equal(cli.force, true);
+  assert.equal(cli.outdatedPrompts, true);
+  assert.equal(cli.dryRun, true);
+  assert.equal(cli.batchSize, 25);
+  assert.equal(cli.model, 'gpt-4o');
+  assert.equal(parseCliArgs(['-h']).help, true);
+  assert.equal(parseCliArgs(['--batch-size=0']).batchSize, 0);
+});
+
+test('rejects bad values and unknown flags with a UsageError', () => {
+  for (const [args, message] of [
+    [['--batch-size=-1'], /--batch-size must be a non-negative integer, got "-1"/],
+    [['--batch-size', '2.5'], /--batch-size must be a non-negative integer/],
+    [['--since', 'yesterday'], /--since must be a date/],
+    [['--frobnicate'], /Unknown option '--frobnicate'/],
+    [['--only'], /argument missing/]
+  ]) {
+    assert.throws(() => parseCliArgs(args), error => {
+      assert.ok(error instanceof UsageError, args.join(' '));
+      assert.match(error.message, message);
+      return true;
+    });
+  }
+});
@@ -0,0 +1,63 @@
+// Upstream drift for forks. Turns a GitHub compare response (upstream default
+// branch ... fork default branch) into what we want to know about a fork: does
+// it carry our own commits, how far behind is it, and when did it last sync.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// state: in-sync | ahead | behind | diverged | stale
+// "stale" means far behind (or not synced for a long time) regardless of ahead
+function classify({ aheadBy, behindBy, lastSyncedAt }, { staleBehind, staleDays }, now) {
+  const syncAge = lastSyncedAt ? (now - new Date(lastSyncedAt)) / DAY_MS : 0;
+  if (behindBy > 0 && (behindBy >= staleBehind || syncAge >= staleDays)) return 'stale';
+  if (aheadBy > 0 && behindBy > 0) return 'diverged';
+  if (aheadBy > 0) return 'ahead';
+  if (behindBy > 0) return 'behind';
+  return 'in-sync';
+}
+
+// Short badge text: "12 commits ahead", "stale, 300 behind"
+function upstreamLabel({ state, aheadBy, behindBy }) {
+  switch (state) {
+    case 'in-sync': return 'up to date';
+    case 'ahead': return `${plural(aheadBy, 'commit')} ahead`;
+    case 'behind': return `${behindBy} behind`;
+    case 'diverged': return `${aheadBy} ahead, ${behindBy} behind`;
+    case 'stale': return aheadBy > 0 ? `stale, ${aheadBy} ahead, ${behindBy} behind` : `stale, ${behindBy} behind`;
+    default: return 'unknown';
+  }
+}
+
+// data: GET /repos/{fork}/compare/{upstream}:{branch}...{owner}:{branch}
+function summarizeComparison(data, options, now = new Date()) {
+  const mergeBase = data.merge_base_commit && data.merge_base_commit.commit;
+  const upstream = {
+    aheadBy: data.ahead_by || 0,
+    behindBy: data.behind_by || 0,
+    lastSyncedAt: (mergeBase && mergeBase.committer && mergeBase.committer.date) || null,
+    hasOwnCommits: (data.ahead_by || 0) > 0,
+    checkedAt: now.toISOString()
+  };
+  upstream.state = classify(upstream, options, now);
+  upstream.label = upstreamLabel(upstream);
+  return upstream;
+}
+
+// What to do with a fork: rebase (own work, upstream moved on), delete (no
+// own work, stale), keep (own work, current) or nothing (a plain mirror)
+function forkAdvice(upstream) {
+  if (!upstream) return 'unchecked';
+  if (upstream.hasOwnCommits && upstream.behindBy > 0) return 'rebase';
+  if (!upstream.hasOwnCommits && upstream.state === 'stale') return 'delete';
+  if (upstream.hasOwnCommits) return 'keep';
+  return 'mirror';
+}
+
+module.exports = {
+  summarizeComparison,
+  upstreamLabel,
+  forkAdvice
+};
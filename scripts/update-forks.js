@@ -1,146 +1,274 @@
 const fs = require('fs');
+const { ProviderError, createProvider, describeProvider } = require('./lib/llm-providers');
+const { computeFingerprint, measureDrift, scoreDrift } = require('./lib/fingerprint');
+const { createGitHubClient } = require('./lib/github-client');
+const { matchesAny } = require('./lib/glob');
+const { USAGE, UsageError, parseCliArgs } = require('./lib/update-forks-cli');
+const { ForksValidationError, readForksFile, writeForksFile } = require('./lib/forks-store');
+const { scoreArticle } = require('./lib/article-quality');
+const { checkGrounding } = require('./lib/grounding');
+const { findManifests, parseManifest, mergePackages } = require('./lib/manifests');
+const { STACK_VERSION, detectStack, detectStackFromKnowledgeGraph } = require('./lib/stack-detection');
+const { computeRelated } = require('./lib/related');
+const { summarizeComparison } = require('./lib/upstream');
+const { appendSnapshots } = require('./lib/history');
+const { coverPath, writeCovers } = require('./lib/cover-art');
+const { writeSiteData } = require('./lib/site-data');
+const { SourceConfigError, normalizeSources, listingPath, acceptsRepo } = require('./lib/sources');
+const { SiteConfigError, loadSiteConfig } = require('./lib/site-config');
+const { loadContentOverrides, restoreGenerated, applyOverride } = require('./lib/content');
+const { normalizeCuration, curate } = require('./lib/curation');
+const { PromptTemplateError, loadPromptTemplates, selectTemplate, renderPrompt, outdatedPrompt } = require('./lib/prompt-templates');
+const { translationSource, isTranslationCurrent, translationMessages, parseTranslation, checkTranslation } = require('./lib/translation');
+const { packContext } = require('./lib/context-packer');
+const { createUsageTracker } = require('./lib/token-usage');
+const { parseArticle, retryMessage, articleMarkdown, articleFields } = require('./lib/structured-article');
+const { createRunReport, writeRunReport } = require('./lib/run-report');
+const { mapPool, createLimiter } = require('./lib/pool');
+const { planRepos, settlePlan, splitBatch } = require('./lib/run-plan');
 
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 
 // Configuration
 const CONFIG = {
-  username: 'moses-y',
+  // From site.config.json: listings merged into one feed (rules in scripts/lib/sources.js)
+  sources: [],
+  // From site.config.json: hide, pin, order, featured, collections (scripts/lib/curation.js)
+  curation: normalizeCuration({}),
   reposToShow: 999, // All repos - no limit
-  batchSize: 10, // Reduced batch size to allow richer data extraction per repo
-  apiDelay: 3000, // 3 seconds between AI requests (rotating models)
-  maxFiles: 200, // Max files to include from repo tree for AI context
-  models: {
-    endpoint: 'https://models.inference.ai.azure.com/chat/completions',
-    // Rotate between models to maximize rate limits (50/day each)
-    available: ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1'],
+  batchSize: 10, // Reduced batch size to allow richer data extraction per repo; site.config.json can override
+  apiDelay: 3000, // 3 seconds between the starts of AI requests (rotating models)
+  maxFiles: 200, // Max files from the repo tree in the stored knowledge graph
+  maxManifests: 5, // Dependency manifests fetched and parsed per repo
+  report: {
+    file: 'run-report.json' // Written after every run, failed ones included, except --dry-run
+  },
+  github: {
+    etagCache: '.cache/github-etags.json', // Persisted between runs by the workflow
+    maxRetries: 3,
+    maxRateLimitWaitMs: 15 * 60 * 1000, // Give up rather than sleep longer than this
+    concurrency: 8 // GitHub API requests in flight at once
+  },
+  quality: {
+    minScore: 60, // Articles scoring below this (0-100) are regenerated
+    maxAttempts: 3 // Stop regenerating after this many low-scoring AI attempts
+  },
+  article: {
+    jsonRetries: 2 // Ask again this many times when the reply isn't the JSON the prompt describes
+  },
+  grounding: {
+    minRatio: 0.8, // Share of `inline code` references that must exist in the repo
+    reprompt: true // Ask the model once to fix invalid references below minRatio
+  },
+  translation: {
+    locales: [], // From site.config.json
+    maxPerRun: 20, // Locale translations per run; the rest wait for the next run
+    maxAttempts: 3 // Stop retrying a locale whose translations keep failing the checks
+  },
+  related: {
+    limit: 4, // Related projects stored per entry
+    minScore: 0.05 // Weighted similarity (0..1) below which a pair isn't related
+  },
+  upstream: {
+    staleBehind: 100, // A fork this many commits behind is stale...
+    staleDays: 365, // ...as is one whose last sync is older than this
+    maxAgeHours: 24, // Recheck ahead/behind counts this often
+    maxChecksPerRun: 100 // Compare calls per run; the rest keep their last result
+  },
+  drift: {
+    threshold: 0.3, // Regenerate once weighted input drift reaches this (0..1)
+    weights: { readme: 0.4, tree: 0.3, description: 0.2, topics: 0.1 },
+    maxChecksPerRun: 50 // README + tree refetches per run; the rest wait for the next run
+  },
+  llm: {
+    // Pick a backend with LLM_PROVIDER; LLM_MODELS overrides its model list
+    provider: process.env.LLM_PROVIDER || 'github-models', // site.config.json can set the default
     maxTokens: 2000,
-    temperature: 0.7
+    temperature: 0.7,
+    timeoutMs: 120000,
+    // AI requests in flight at once; a provider can set its own. GitHub
+    // Models allows 2 concurrent requests per model on the free tier.
+    concurrency: 2,
+    // Tokens of repo context (analysis, README, file tree) per article prompt,
+    // by model; lib/context-packer.js shrinks the context to fit. GitHub
+    // Models' free tier caps a request at 8000 input tokens.
+    contextTokens: {
+      default: 5000,
+      'llama3.1': 2500 // Ollama's default context window is small
+    },
+    // USD per million tokens at list price, for the estimated cost of a run
+    pricing: {
+      'gpt-4o': { input: 2.5, output: 10 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4.1': { input: 2, output: 8 }
+    },
+    providers: {
+      'github-models': {
+        type: 'github-models',
+        label: 'GitHub Models API',
+        endpoint: 'https://models.inference.ai.azure.com/chat/completions',
+        apiKey: GITHUB_TOKEN,
+        // Rotate between models to maximize rate limits (50/day each)
+        models: ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1']
+      },
+      'openai-compatible': {
+        type: 'openai-compatible',
+        label: 'OpenAI-compatible API',
+        baseUrl: process.env.LLM_BASE_URL || 'http://localhost:8080/v1',
+        apiKey: process.env.LLM_API_KEY,
+        models: ['local-model']
+      },
+      ollama: {
+        type: 'ollama',
+        label: 'Ollama',
+        baseUrl: process.env.OLLAMA_HOST || 'http://localhost:11434',
+        models: ['llama3.1'],
+        maxTokens: 1500,
+        timeoutMs: 600000, // Local models on CPU are slow
+        concurrency: 1 // One model instance answers one request at a time
+      },
+      stub: {
+        type: 'stub',
+        label: 'Offline stub',
+        models: ['stub']
+      }
+    }
   }
 };
 
+// Set up by main(), so a bad LLM_PROVIDER is reported like any other error
+let llmProvider = null;
+let llmConcurrency = CONFIG.llm.concurrency;
+let llmLimit = null;
+const tokenUsage = createUsageTracker(CONFIG.llm.pricing);
+let runReport = null; // Set once main() starts a run
+
+// Every AI call goes through here, however many repos are in progress:
+// at most llmConcurrency in flight, started CONFIG.apiDelay apart. A call
+// still queued when its model hits the rate limit fails without being sent,
+// so the caller moves on to the next model.
+function complete(request) {
+  return llmLimit(() => {
+    if (modelRateLimits[request.model]) {
+      throw new ProviderError(`${request.model} is rate limited for this run`, {
+        kind: 'rate_limit',
+        provider: llmProvider.name,
+        model: request.model
+      });
+    }
+    return llmProvider.complete(request);
+  });
+}
+
+const github = createGitHubClient({
+  token: GITHUB_TOKEN,
+  cacheFile: CONFIG.github.etagCache,
+  maxRetries: CONFIG.github.maxRetries,
+  maxRateLimitWaitMs: CONFIG.github.maxRateLimitWaitMs,
+  concurrency: CONFIG.github.concurrency
+});
+
 // Track rate limits per model
 const modelRateLimits = {};
 let currentModelIndex = 0;
+let activeModels = []; // The provider's models, narrowed by --model
 
 function getNextModel() {
+  const models = activeModels;
   // Try to find a model that hasn't hit rate limit
-  for (let i = 0; i < CONFIG.models.available.length; i++) {
-    const model = CONFIG.models.available[(currentModelIndex + i) % CONFIG.models.available.length];
+  for (let i = 0; i < models.length; i++) {
+    const model = models[(currentModelIndex + i) % models.length];
     if (!modelRateLimits[model]) {
-      currentModelIndex = (currentModelIndex + i + 1) % CONFIG.models.available.length;
+      currentModelIndex = (currentModelIndex + i + 1) % models.length;
       return model;
     }
   }
   return null; // All models rate limited
 }
 
-// Curated Unsplash photo IDs for tech/coding themes
-const unsplashPhotos = [
-  '1461749280684-dccba630e2f6', '1555066931-4365d14bab8c', '1504639725590-34d0984388bd',
-  '1526374965328-7f61d4dc18c5', '1518770660439-4636190af475', '1451187580459-43490279c0fa',
-  '1550751827-4bd374c3f58b', '1558494949-ef010cbdcc31', '1485827404703-89b55fcc595e',
-  '1531482615713-2afd69097998', '1542831371-29b0f74f9713', '1607799279861-4dd421887fb3',
-];
-
-function getRandomUnsplashUrl(index) {
-  const photoId = unsplashPhotos[index % unsplashPhotos.length];
-  return `https://images.unsplash.com/photo-${photoId}?w=800&h=400&fit=crop&q=80`;
+// Rate limits are tracked per model, so this holds however many repos are
+// being generated at once
+function allModelsRateLimited() {
+  return activeModels.every(model => modelRateLimits[model]);
 }
 
-// Load existing forks.json to check for existing articles
+// Load existing forks.json to check for existing articles. An unreadable or
+// invalid file aborts the run rather than silently regenerating everything.
 function loadExistingArticles() {
-  try {
-    if (fs.existsSync('forks.json')) {
-      const data = JSON.parse(fs.readFileSync('forks.json', 'utf8'));
-      const existing = new Map();
-      for (const fork of (data.forks || [])) {
-        existing.set(fork.id, fork);
-      }
-      console.log(`Loaded ${existing.size} existing articles from forks.json`);
-      return existing;
-    }
-  } catch (e) {
+  const existing = new Map();
+  if (!fs.existsSync('forks.json')) {
     console.log('No existing forks.json found, starting fresh');
+    return existing;
   }
-  return new Map();
-}
-
-// Check if article needs regeneration (fallback or AI-sounding)
-function isFallbackArticle(article) {
-  if (!article || article.length < 400) return true;
-
-  const badPhrases = [
-    // Fallback phrases
-    'demonstrates thoughtful software design',
-    'caught my attention for its practical approach',
-    'Worth investigating if you\'re working with',
-    'patterns and implementations that could accelerate',
-    // AI-sounding phrases to regenerate
-    'In the rapidly evolving',
-    'In the world of',
-    'In today\'s landscape',
-    'is paramount',
-    'aims to streamline',
-    'comprehensive solution',
-    'It\'s worth noting',
-    'leveraging the power',
-    'game-changer',
-    'cutting-edge'
-  ];
 
-  return badPhrases.some(phrase => article.toLowerCase().includes(phrase.toLowerCase()));
+  const { data, applied } = readForksFile('forks.json');
+  applied.forEach(step => console.log(`Migrated forks.json ${step}`));
+  for (const fork of data.forks) {
+    existing.set(fork.id, fork);
+  }
+  console.log(`Loaded ${existing.size} existing articles from forks.json`);
+  return existing;
+}
+
+// Score an article (see lib/article-quality.js). `previous` is the stored
+// quality record, whose failed-attempt count carries over while the
+// article keeps failing. A `stored` article isn't penalised for missing
+// section headings.
+function assessArticle(article, previous, { regenerated = false, stored = false } = {}) {
+  const quality = scoreArticle(article, { minScore: CONFIG.quality.minScore, requireSections: !stored });
+  const attempts = (previous && previous.failedAttempts) || 0;
+  if (!quality.passed && (regenerated || attempts > 0)) {
+    quality.failedAttempts = attempts + (regenerated ? 1 : 0);
+  }
+  return quality;
 }
 
-// Fetch README content from repo
+// Fetch README content from repo (null when the repo has none)
 async function fetchReadme(repo) {
-  try {
-    const response = await fetch(
-      `https://api.github.com/repos/${CONFIG.username}/${repo.name}/readme`,
-      {
-        headers: {
-          'Accept': 'application/vnd.github.v3.raw',
-          'User-Agent': 'GitHub-Pages-Blog-Generator',
-          ...(GITHUB_TOKEN && { 'Authorization': `token ${GITHUB_TOKEN}` })
-        }
-      }
-    );
-    if (response.ok) {
-      const readme = await response.text();
-      return readme.slice(0, 4000);
-    }
-  } catch (e) {}
-  return null;
+  const readme = await github.request(`/repos/${repo.full_name}/readme`, {
+    accept: 'application/vnd.github.v3.raw',
+    as: 'text',
+    cache: false
+  });
+  return readme ? readme.slice(0, 4000) : null;
 }
 
-// Fetch repo file structure
+// Fetch repo file structure (every blob path; callers trim for AI context)
 async function fetchRepoTree(repo) {
-  try {
-    const response = await fetch(
-      `https://api.github.com/repos/${CONFIG.username}/${repo.name}/git/trees/HEAD?recursive=1`,
-      {
-        headers: {
-          'Accept': 'application/vnd.github.v3+json',
-          'User-Agent': 'GitHub-Pages-Blog-Generator',
-          ...(GITHUB_TOKEN && { 'Authorization': `token ${GITHUB_TOKEN}` })
-        }
-      }
-    );
-    if (response.ok) {
-      const data = await response.json();
-      return (data.tree || []).filter(f => f.type === 'blob').map(f => f.path).slice(0, CONFIG.maxFiles);
+  const data = await github.request(`/repos/${repo.full_name}/git/trees/HEAD?recursive=1`, { cache: false });
+  if (!data) return [];
+  return (data.tree || []).filter(f => f.type === 'blob').map(f => f.path);
+}
+
+// Fetch and parse package.json, requirements.txt, pyproject.toml, go.mod and
+// Cargo.toml. A manifest that fails to parse is skipped, not fatal.
+async function fetchPackages(repo, fileTree) {
+  const packages = [];
+  for (const path of findManifests(fileTree, CONFIG.maxManifests)) {
+    const text = await github.request(`/repos/${repo.full_name}/contents/${encodeURI(path)}`, {
+      accept: 'application/vnd.github.v3.raw',
+      as: 'text'
+    });
+    if (!text) continue;
+    try {
+      packages.push(...parseManifest(path, text));
+    } catch (error) {
+      console.log(`  ! Could not parse ${path}: ${error.message}`);
     }
-  } catch (e) {}
-  return [];
+  }
+  return mergePackages(packages);
 }
 
-// Build knowledge graph from file tree to extract structured relationships
-function buildKnowledgeGraph(fileTree) {
+// Build knowledge graph from file tree to extract structured relationships.
+// `packages` are the parsed dependencies from fetchPackages.
+function buildKnowledgeGraph(fileTree, packages = []) {
   const graph = {
     directories: {},
     languages: {},
     entryPoints: [],
     configFiles: [],
     dependencies: [],
+    packages,
     testFiles: [],
     docs: []
   };
@@ -235,10 +363,16 @@ function buildKnowledgeGraph(fileTree) {
   return graph;
 }
 
-// Format knowledge graph as structured context for AI prompt
-function formatKnowledgeGraph(graph) {
+// Format knowledge graph (and detected stack) as structured context for AI prompt
+function formatKnowledgeGraph(graph, stack) {
   const sections = [];
 
+  // Frameworks and tooling
+  if (stack && stack.technologies.length > 0) {
+    sections.push('DETECTED STACK:\n' + stack.technologies
+      .map(t => `  ${t.name} (${t.category}): ${t.evidence.slice(0, 2).join('; ')}`).join('\n'));
+  }
+
   // Top directories by file count
   const sortedDirs = Object.entries(graph.directories)
     .sort((a, b) => b[1] - a[1])
@@ -270,6 +404,18 @@ function formatKnowledgeGraph(graph) {
     sections.push('DEPENDENCY FILES:\n' + graph.dependencies.slice(0, 5).map(f => `  ${f}`).join('\n'));
   }
 
+  // Declared packages, runtime first
+  const packages = graph.packages || [];
+  const runtime = packages.filter(p => !p.dev);
+  const dev = packages.filter(p => p.dev);
+  if (runtime.length > 0) {
+    sections.push(`DEPENDENCIES (${runtime.length}):\n` + runtime.slice(0, 25)
+      .map(p => `  ${p.name}${p.version ? ` ${p.version}` : ''} (${p.ecosystem})`).join('\n'));
+  }
+  if (dev.length > 0) {
+    sections.push(`DEV DEPENDENCIES (${dev.length}): ${dev.slice(0, 15).map(p => p.name).join(', ')}`);
+  }
+
   // Tests
   if (graph.testFiles.length > 0) {
     sections.push(`TESTS: ${graph.testFiles.length} test files found`);
@@ -283,9 +429,79 @@ function formatKnowledgeGraph(graph) {
   return sections.join('\n\n');
 }
 
-async function generateBlogArticle(repo, readme, fileTree, knowledgeGraph) {
-  if (!GITHUB_TOKEN) {
-    return generateFallbackSummary(repo);
+// Asks for the article and parses the JSON reply, asking again (up to
+// CONFIG.article.jsonRetries times) when it isn't the object the prompt
+// describes or doesn't use the template's `sections` headings. Returns
+// { article, content, messages, sections } or null.
+async function requestArticle(repo, model, messages, context, sections) {
+  let conversation = messages;
+  for (let attempt = 0; ; attempt++) {
+    const { content, usage } = await complete({ model, messages: conversation });
+    tokenUsage.record({
+      model,
+      purpose: attempt === 0 ? 'article' : 'retry',
+      repo: repo.name,
+      usage,
+      messages: conversation,
+      content,
+      context: attempt === 0 ? context : null
+    });
+
+    const { article, error } = parseArticle(content, { sections });
+    runReport.modelResult(model, article ? 'succeeded' : 'invalid');
+    if (article) return { article, content, messages: conversation, sections };
+    if (attempt >= CONFIG.article.jsonRetries) {
+      console.log(`  - Reply ${error.split('\n')[0]}, giving up after ${attempt + 1} tries`);
+      return null;
+    }
+    console.log(`  - Reply ${error.split('\n')[0]}, asking again`);
+    conversation = [...conversation, { role: 'assistant', content }, { role: 'user', content: retryMessage(error) }];
+  }
+}
+
+// One follow-up turn listing the references that don't exist. The revision is
+// kept only if it is valid and better grounded than the original.
+async function reviseUngroundedArticle(repo, model, reply, grounding, sources) {
+  console.log(`  - Grounding ${Math.round(grounding.ratio * 100)}%, asking for a revision: ${grounding.invalid.join(', ')}`);
+  try {
+    const revisionMessages = [
+      ...reply.messages,
+      { role: 'assistant', content: reply.content },
+      {
+        role: 'user',
+        content: `These references in your article do not exist in the repository: ${grounding.invalid.map(ref => `\`${ref}\``).join(', ')}.
+
+Rewrite the article as the same JSON object. Only put files and folders in \`inline code\` if they appear in the FILE STRUCTURE or README above; describe anything else in plain words.`
+      }
+    ];
+    const { content: revised, usage } = await complete({ model, messages: revisionMessages });
+    tokenUsage.record({ model, purpose: 'revision', repo: repo.name, usage, messages: revisionMessages, content: revised });
+    const { article } = parseArticle(revised, { sections: reply.sections });
+    runReport.modelResult(model, article ? 'succeeded' : 'invalid');
+    const summary = article && articleMarkdown(article.sections);
+    const revisedGrounding = article && checkGrounding(summary, sources);
+    if (article && summary.length > 400 && revisedGrounding.ratio > grounding.ratio) {
+      console.log(`  - Revision grounding ${Math.round(revisedGrounding.ratio * 100)}%`);
+      return article;
+    }
+    console.log(article ? `  - Revision not better grounded, keeping the original` : `  - Revision not in the requested format, keeping the original`);
+  } catch (error) {
+    if (error.kind === 'rate_limit') modelRateLimits[model] = true;
+    runReport.modelResult(model, error.kind === 'rate_limit' ? 'rateLimited' : 'failed');
+    console.log(`  - Revision failed: ${error.message}`);
+  }
+  return reply.article;
+}
+
+// Returns { summary, fields }: the article as markdown and, for an AI
+// article, its structured fields (lib/structured-article.js); null when
+// generation failed. fileTree is the whole tree: it is packed with the README
+// and analysis into the model's context budget (lib/context-packer.js), and
+// file references are checked against all of it. `template` names the prompt
+// in prompts/ (see lib/prompt-templates.js).
+async function generateBlogArticle(repo, readme, fileTree, knowledgeGraph, stack, { prompts, template }) {
+  if (!llmProvider.isConfigured()) {
+    return { summary: generateFallbackSummary(repo), fields: null };
   }
 
   const model = getNextModel();
@@ -294,103 +510,174 @@ async function generateBlogArticle(repo, readme, fileTree, knowledgeGraph) {
     return null;
   }
 
-  try {
-    const graphContext = knowledgeGraph ? formatKnowledgeGraph(knowledgeGraph) : '';
-    const context = `
-REPOSITORY: ${repo.name}
-DESCRIPTION: ${repo.description || 'No description'}
-PRIMARY LANGUAGE: ${repo.language || 'Not specified'}
-TOPICS/TAGS: ${(repo.topics || []).join(', ') || 'None'}
-STARS: ${repo.stargazers_count || 0}
-${repo.parent ? `FORKED FROM: ${repo.parent.name} (${repo.parent.stars} stars)` : 'ORIGINAL PROJECT'}
-
-${graphContext ? `PROJECT ANALYSIS:\n${graphContext}\n` : ''}
-FILE STRUCTURE:
-${fileTree.length > 0 ? fileTree.join('\n') : 'Not available'}
-
-README EXCERPT:
-${readme || 'No README available'}
-`.trim();
-
-    const prompt = `You're a developer writing a Medium-style technical blog post about this repo.
-
-${context}
-
-FORMAT (use markdown):
-## The Problem
-One paragraph about the specific pain point this solves. Be concrete.
-
-## What This Does
-2-3 short paragraphs. Reference actual files/folders from the structure. Use \`inline code\` for file names and functions.
-
-## Real-World Use
-A practical scenario. Maybe a code snippet or example workflow.
-
-## The Bottom Line
-Your honest take in 2-3 sentences. What's good, what's not, who should use it.
-
----
-
-STYLE RULES:
-- Short paragraphs (2-4 sentences max)
-- Use \`code formatting\` for technical terms
-- Be specific: "the config.yaml handles..." not "it provides configuration..."
-- Write like you're explaining to a coworker over coffee
-- Have opinions. "This is overkill for small projects" is fine.
-
-NEVER USE:
-- "rapidly evolving", "paramount", "leverage", "streamline", "robust"
-- "In the realm of...", "It's worth noting...", "This project aims to..."
-- "comprehensive", "cutting-edge", "game-changer", "seamlessly", "foster"
-- Starting multiple sentences with "This" or "The"
-
-Keep it under 400 words. Quality over quantity.`;
-
-    console.log(`  Using model: ${model}`);
-    const response = await fetch(CONFIG.models.endpoint, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${GITHUB_TOKEN}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [
-          { role: 'system', content: 'You write like a real developer - direct, practical, occasionally sarcastic. You hate corporate jargon and AI-sounding fluff. You reference specific code and have strong opinions.' },
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: CONFIG.models.maxTokens,
-        temperature: CONFIG.models.temperature
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.log(`  ${model} returned ${response.status}: ${errorText.slice(0, 80)}`);
+  // Entry points and manifests stay listed however much of the tree is collapsed
+  const keyFiles = buildKnowledgeGraph(fileTree);
+  const budget = CONFIG.llm.contextTokens[model] || CONFIG.llm.contextTokens.default;
+  const context = packContext({
+    analysis: knowledgeGraph ? formatKnowledgeGraph(knowledgeGraph, stack) : '',
+    readme: readme || '',
+    fileTree,
+    keyFiles: [...keyFiles.entryPoints, ...keyFiles.dependencies, ...keyFiles.configFiles]
+  }, budget);
+
+  // Template errors (an unknown variable, say) are bugs, not model failures
+  const { messages, sections } = renderPrompt(prompts, template, {
+    repo: {
+      name: repo.name,
+      description: repo.description || 'No description',
+      language: repo.language || 'Not specified',
+      topics: (repo.topics || []).join(', ') || 'None',
+      stars: repo.stargazers_count || 0,
+      parent: repo.parent ? { name: repo.parent.name, stars: repo.parent.stars } : null
+    },
+    analysis: context.analysis,
+    fileTree: context.fileTree || 'Not available',
+    readme: context.readme || 'No README available'
+  });
 
-      // Mark model as rate limited if 429
-      if (response.status === 429) {
-        modelRateLimits[model] = true;
-        console.log(`  Model ${model} rate limited, trying next...`);
-        // Retry with next model
-        return generateBlogArticle(repo, readme, fileTree);
-      }
+  try {
+    console.log(`  Using model: ${model} (prompt: ${template})`);
+    const { tokens, needed } = context;
+    console.log(`  - Context: ${context.total}/${budget} tokens (analysis ${tokens.analysis}/${needed.analysis}, README ${tokens.readme}/${needed.readme}, files ${tokens.fileTree}/${needed.fileTree})`);
+    const reply = await requestArticle(repo, model, messages, { budget, tokens, needed }, sections);
+    if (!reply || articleMarkdown(reply.article.sections).length <= 400) {
       return null;
     }
 
-    const data = await response.json();
-    const article = data.choices?.[0]?.message?.content?.trim();
-
-    if (article && article.length > 400) {
-      return article;
+    let article = reply.article;
+    const sources = { fileTree, readme };
+    const grounding = checkGrounding(articleMarkdown(article.sections), sources);
+    if (CONFIG.grounding.reprompt && grounding.ratio !== null && grounding.ratio < CONFIG.grounding.minRatio) {
+      article = await reviseUngroundedArticle(repo, model, reply, grounding, sources);
     }
-    return null;
+    return { summary: articleMarkdown(article.sections), fields: article };
   } catch (error) {
+    runReport.modelResult(model, error.kind === 'rate_limit' ? 'rateLimited' : 'failed');
+    if (error.kind === 'rate_limit' || error.kind === 'model_unavailable') {
+      // Take this model out of rotation and retry with the next one
+      modelRateLimits[model] = true;
+      console.log(`  ${error.message}`);
+      console.log(`  Model ${model} unavailable, trying next...`);
+      return generateBlogArticle(repo, readme, fileTree, knowledgeGraph, stack, { prompts, template });
+    }
     console.log(`AI generation failed for ${repo.name}:`, error.message);
     return null;
   }
 }
 
+// One locale of one entry; null when every model is rate limited or the call fails
+async function translateEntry(entry, locale) {
+  const model = getNextModel();
+  if (!model) return null;
+
+  try {
+    const messages = translationMessages(entry, locale);
+    const { content, usage } = await complete({ model, messages });
+    tokenUsage.record({ model, purpose: 'translation', repo: entry.name, usage, messages, content });
+    const translation = parseTranslation(content);
+    runReport.modelResult(model, translation ? 'succeeded' : 'invalid');
+    return { model, translation };
+  } catch (error) {
+    runReport.modelResult(model, error.kind === 'rate_limit' ? 'rateLimited' : 'failed');
+    if (error.kind === 'rate_limit' || error.kind === 'model_unavailable') {
+      modelRateLimits[model] = true;
+      console.log(`  Model ${model} unavailable, trying next...`);
+      return translateEntry(entry, locale);
+    }
+    console.log(`  - ${locale.code}: translation failed: ${error.message}`);
+    return { model, translation: null };
+  }
+}
+
+// Brings entry.translations up to date for the configured locales. Only
+// articles worth publishing are translated (a passing AI article or a
+// content/ override), and a locale is redone when the English changed or its
+// last attempt failed the checks in lib/translation.js. Several locales are
+// in flight at once, within the AI call limits.
+async function translateEntries(entries, cli) {
+  const { locales, maxPerRun, maxAttempts } = CONFIG.translation;
+  const codes = new Set(locales.map(l => l.code));
+  const stats = { translated: 0, failed: 0, current: 0, pending: 0 };
+
+  for (const entry of entries) {
+    // Locales dropped from site.config.json
+    for (const code of Object.keys(entry.translations || {})) {
+      if (!codes.has(code)) delete entry.translations[code];
+    }
+    if (entry.translations && Object.keys(entry.translations).length === 0) delete entry.translations;
+  }
+  if (locales.length === 0) return stats;
+
+  const publishable = entry => (entry.content && entry.content.fields.includes('summary')) || (entry.quality && entry.quality.passed);
+  const source = new Map(entries.map(entry => [entry.id, translationSource(entry)]));
+  const queue = [];
+  for (const entry of entries) {
+    if (!publishable(entry) || !isTargeted({ name: entry.name, updated_at: entry.updatedAt }, cli)) continue;
+    for (const locale of locales) {
+      if (isTranslationCurrent(entry, locale)) {
+        stats.current++;
+        continue;
+      }
+      const stored = entry.translations && entry.translations[locale.code];
+      const attempts = stored && stored.source === source.get(entry.id) ? stored.quality.failedAttempts || 0 : 0;
+      if (attempts < maxAttempts) queue.push({ entry, locale, attempts });
+    }
+  }
+
+  if (queue.length === 0 || !llmProvider.isConfigured()) {
+    stats.pending = queue.length;
+    return stats;
+  }
+
+  console.log(`
+Translating ${Math.min(queue.length, maxPerRun)} of ${queue.length} (${locales.map(l => l.code).join(', ')})...`);
+  stats.pending = Math.max(0, queue.length - maxPerRun);
+  let exhausted = false;
+  const results = await mapPool(queue.slice(0, maxPerRun), llmConcurrency, async ({ entry, locale, attempts }) => {
+    if (exhausted) {
+      stats.pending++;
+      return;
+    }
+    const result = await translateEntry(entry, locale);
+    if (!result) {
+      if (!exhausted) console.log(`  All models rate limited, the remaining translations wait for the next run`);
+      exhausted = true;
+      stats.pending++;
+      return;
+    }
+
+    const translation = result.translation || { title: '', description: '', summary: '' };
+    const quality = result.translation
+      ? checkTranslation(entry, translation, { minScore: CONFIG.quality.minScore })
+      : { version: 1, score: 0, passed: false, reasons: ['reply not in the TITLE / DESCRIPTION / ARTICLE format'] };
+    if (!quality.passed) quality.failedAttempts = attempts + 1;
+    console.log(`  - ${entry.name} → ${locale.code}: ${quality.score}/100${quality.reasons.length > 0 ? ` (${quality.reasons.join('; ')})` : ''}`);
+
+    entry.translations = {
+      ...entry.translations,
+      [locale.code]: {
+        title: translation.title,
+        description: translation.description,
+        summary: translation.summary,
+        readTime: estimateReadTime(translation.summary),
+        source: source.get(entry.id),
+        model: result.model,
+        translatedAt: new Date().toISOString(),
+        quality
+      }
+    };
+    if (quality.passed) stats.translated++;
+    else stats.failed++;
+  });
+  for (const [i, result] of results.entries()) {
+    if (result.ok) continue;
+    const { entry, locale } = queue[i];
+    console.log(`  ! ${entry.name} → ${locale.code}: ${result.error.message}`);
+    stats.failed++;
+  }
+  return stats;
+}
+
 function generateFallbackSummary(repo) {
   const desc = repo.description || '';
   const lang = repo.language || 'various technologies';
@@ -403,71 +690,165 @@ function generateFallbackSummary(repo) {
   return `${name} is a ${lang} project that demonstrates thoughtful software design. While exploring the codebase, I found patterns and implementations that could accelerate similar projects. Worth investigating if you're working with ${lang} or interested in clean, maintainable code architecture.`;
 }
 
-async function fetchRepos() {
+// All repos one source lists, before its rules are applied
+async function fetchSourceRepos(source) {
+  if (source.type === 'repos') {
+    const repos = [];
+    for (const fullName of source.repos) {
+      const repo = await github.request(`/repos/${fullName}`);
+      if (repo) {
+        repos.push(repo);
+      } else {
+        console.log(`  ! ${source.id}: ${fullName} not found`);
+      }
+    }
+    return repos;
+  }
+
   let allRepos = [];
   let page = 1;
 
   while (true) {
-    const response = await fetch(
-      `https://api.github.com/users/${CONFIG.username}/repos?sort=updated&per_page=100&page=${page}`,
-      {
-        headers: {
-          'Accept': 'application/vnd.github.v3+json',
-          'User-Agent': 'GitHub-Pages-Blog-Generator',
-          ...(GITHUB_TOKEN && { 'Authorization': `token ${GITHUB_TOKEN}` })
-        }
-      }
-    );
-
-    if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
-
-    const repos = await response.json();
+    const repos = await github.request(listingPath(source, page));
+    if (!repos) throw new Error(`GitHub ${source.type === 'org' ? 'organization' : 'user'} ${source.name} not found`);
     if (repos.length === 0) break;
 
     allRepos = allRepos.concat(repos);
-    console.log(`Fetched page ${page}: ${repos.length} repos (total: ${allRepos.length})`);
+    console.log(`${source.id} page ${page}: ${repos.length} repos (total: ${allRepos.length})`);
 
     if (repos.length < 100) break;
     page++;
   }
+  return allRepos;
+}
 
-  allRepos.forEach(r => { r._type = r.fork ? 'fork' : 'original'; });
+// Repos from every source, merged. A repo listed twice belongs to the first
+// source; a different repo with a name already taken is skipped, since blog
+// pages, covers and history files are keyed by name.
+async function fetchRepos(sources) {
+  const byId = new Map();
+  const byName = new Map();
+
+  for (const source of sources) {
+    const listed = await fetchSourceRepos(source);
+    const accepted = listed.filter(r => acceptsRepo(source, r));
+    console.log(`Source ${source.id}: ${accepted.length} of ${listed.length} repos match its rules`);
+
+    for (const repo of accepted) {
+      if (byId.has(repo.id)) continue;
+      const taken = byName.get(repo.name.toLowerCase());
+      if (taken) {
+        console.log(`  ! Skipping ${repo.full_name}: the name is already used by ${taken.full_name}`);
+        continue;
+      }
+      repo._type = repo.fork ? 'fork' : 'original';
+      repo._source = source.id;
+      byId.set(repo.id, repo);
+      byName.set(repo.name.toLowerCase(), repo);
+    }
+  }
 
-  return allRepos
-    .filter(r => !r.name.includes('.github.io') && !r.archived)
-    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+  return [...byId.values()].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
 }
 
 async function fetchRepoDetails(repo) {
+  const data = await github.request(repo.url);
+  if (!data) return repo;
+  return {
+    ...repo,
+    topics: data.topics || [],
+    parent: data.parent ? {
+      name: data.parent.full_name,
+      url: data.parent.html_url,
+      stars: data.parent.stargazers_count
+    } : null,
+    // Needed for the compare call, not stored
+    upstreamBranch: data.parent ? data.parent.default_branch : null
+  };
+}
+
+// Ahead/behind counts against the upstream default branch. Returns null for
+// originals and when GitHub can't compare (e.g. unrelated histories).
+async function fetchUpstream(repo, detailed) {
+  if (!detailed.parent || !detailed.upstreamBranch) return null;
+  const upstreamOwner = detailed.parent.name.split('/')[0];
+  const base = `${upstreamOwner}:${encodeURIComponent(detailed.upstreamBranch)}`;
+  const head = `${repo.owner.login}:${encodeURIComponent(repo.default_branch)}`;
+  const data = await github.request(`/repos/${repo.full_name}/compare/${base}...${head}?per_page=1`);
+  return data ? summarizeComparison(data, CONFIG.upstream) : null;
+}
+
+// Upstream moves without our fork being pushed, so results expire by age
+function upstreamIsFresh(upstream) {
+  if (!upstream || !upstream.checkedAt) return false;
+  return Date.now() - new Date(upstream.checkedAt) < CONFIG.upstream.maxAgeHours * 60 * 60 * 1000;
+}
+
+// Fresh counts when due, otherwise the stored ones (also on budget
+// exhaustion or a failed compare)
+async function resolveUpstream(repo, detailed, stored, budget) {
+  if (!detailed.parent) return null;
+  if (upstreamIsFresh(stored) || budget.remaining <= 0) return stored || null;
+  budget.remaining--;
   try {
-    const response = await fetch(repo.url, {
-      headers: {
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'GitHub-Pages-Blog-Generator',
-        ...(GITHUB_TOKEN && { 'Authorization': `token ${GITHUB_TOKEN}` })
-      }
+    return (await fetchUpstream(repo, detailed)) || stored || null;
+  } catch (error) {
+    console.log(`  ! ${repo.name}: upstream compare failed (${error.message})`);
+    return stored || null;
+  }
+}
+
+// Compare a repo's current inputs with the fingerprint its article was built
+// from. README and tree are only refetched when the repo was pushed since the
+// last check; description and topics come free with the repo listing.
+async function checkDrift(repo, existing, budget) {
+  const previous = existing.fingerprint;
+  const lastCheck = existing.driftCheck;
+  const lastPushedAt = (lastCheck && lastCheck.pushedAt) || (previous && previous.pushedAt);
+
+  if (previous && lastPushedAt === repo.pushed_at) {
+    const components = measureDrift(previous, computeFingerprint({
+      description: repo.description,
+      topics: repo.topics
+    }), {
+      readme: lastCheck ? lastCheck.readme : 0,
+      tree: lastCheck ? lastCheck.tree : 0
     });
+    return { ...scoreDrift(components, CONFIG.drift.weights), components, fetched: false };
+  }
 
-    if (response.ok) {
-      const data = await response.json();
-      return {
-        ...repo,
-        topics: data.topics || [],
-        parent: data.parent ? {
-          name: data.parent.full_name,
-          url: data.parent.html_url,
-          stars: data.parent.stargazers_count
-        } : null
-      };
-    }
-  } catch (e) {}
-  return repo;
+  if (budget.remaining <= 0) {
+    return { score: 0, reasons: [], deferred: true };
+  }
+  budget.remaining--;
+
+  let readme, fileTree;
+  try {
+    [readme, fileTree] = await Promise.all([fetchReadme(repo), fetchRepoTree(repo)]);
+  } catch (error) {
+    console.log(`  ! ${repo.name}: drift check failed (${error.message})`);
+    return { score: 0, reasons: [], deferred: true };
+  }
+  const current = computeFingerprint({
+    readme,
+    fileTree,
+    description: repo.description,
+    topics: repo.topics,
+    pushedAt: repo.pushed_at
+  });
+
+  // Older entries have no fingerprint yet: record one as the baseline
+  if (!previous) {
+    return { score: 0, reasons: [], baseline: current, fetched: true };
+  }
+
+  const components = measureDrift(previous, current);
+  return { ...scoreDrift(components, CONFIG.drift.weights), components, fetched: true };
 }
 
+// forks.json stores ISO 8601 timestamps; pages format them for display
 function formatDate(dateString) {
-  return new Date(dateString).toLocaleDateString('en-US', {
-    year: 'numeric', month: 'long', day: 'numeric'
-  });
+  return new Date(dateString).toISOString();
 }
 
 function estimateReadTime(content) {
@@ -475,52 +856,223 @@ function estimateReadTime(content) {
   return Math.max(2, Math.ceil(words / 200));
 }
 
+// Usage of this run's article (and revision) calls for one repo
+function articleUsage(name) {
+  const calls = tokenUsage.calls.filter(c => c.repo === name && c.purpose !== 'translation');
+  const { byModel, ...totals } = tokenUsage.totals(c => calls.includes(c));
+  const packed = calls.filter(c => c.context).pop();
+  return { ...totals, models: Object.keys(byModel), context: packed ? packed.context : null };
+}
+
+function formatUsage({ calls, promptTokens, completionTokens, estimated, costUsd, unpriced }) {
+  const cost = unpriced === calls ? 'no price for these models' : `~$${costUsd.toFixed(4)} at list prices${unpriced > 0 ? `, ${unpriced} calls unpriced` : ''}`;
+  return `${promptTokens.toLocaleString()} prompt + ${completionTokens.toLocaleString()} completion tokens${estimated ? ' (some estimated)' : ''} in ${calls} calls, ${cost}`;
+}
+
+// Average score plus the most common rejection reasons
+function summarizeQuality(scored) {
+  const counts = {};
+  for (const q of scored.filter(q => !q.passed)) {
+    for (const reason of q.reasons) {
+      const key = reason.split(':')[0].replace(/\(.*\)|\d+/g, '').trim();
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  }
+  return {
+    average: scored.length > 0 ? Math.round(scored.reduce((sum, q) => sum + q.score, 0) / scored.length) : 0,
+    passed: scored.filter(q => q.passed).length,
+    failed: scored.filter(q => !q.passed).length,
+    topReasons: Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5)
+      .map(([reason, count]) => ({ reason, count }))
+  };
+}
+
+function printQualitySummary(summary) {
+  if (summary.passed + summary.failed === 0) return;
+  console.log(`Average quality: ${summary.average}/100`);
+  summary.topReasons.forEach(({ reason, count }) => console.log(`  ${count} × ${reason}`));
+}
+
+// Whether a repo is in scope for this run (--only, --exclude, --since)
+function isTargeted(repo, cli) {
+  if (cli.only.length > 0 && !cli.only.some(name => name.toLowerCase() === repo.name.toLowerCase())) return false;
+  if (matchesAny(repo.name, cli.exclude)) return false;
+  if (cli.since && new Date(repo.updated_at) < cli.since) return false;
+  return true;
+}
+
+// Dry-run output: what a real run would do, without calling the AI or writing
+function printPlan({ generation, batchToProcess, hasArticle, untouched, removed }) {
+  const inBatch = new Set(batchToProcess.map(r => r.id));
+  console.log('Dry run — no articles generated, forks.json not written.\n');
+  for (const { repo, reason } of generation) {
+    const when = inBatch.has(repo.id) ? 'regenerate' : 'queue';
+    console.log(`  ${when.padEnd(10)} ${repo.name} (${reason})`);
+  }
+  for (const entry of removed) {
+    console.log(`  ${'remove'.padEnd(10)} ${entry.name} (no longer listed on GitHub)`);
+  }
+  console.log(`\n${batchToProcess.length} to regenerate now, ${generation.length - batchToProcess.length} queued, ` +
+    `${hasArticle.length} preserved, ${untouched.length} untouched, ${removed.length} removed`);
+}
+
+// Fills in the CONFIG settings that come from site.config.json. Called by
+// main(), so a broken config fails the run with a message and a run report.
+function applySiteConfig({ pipeline, curation, locales }) {
+  CONFIG.sources = pipeline.sources;
+  CONFIG.curation = normalizeCuration(curation);
+  CONFIG.batchSize = pipeline.batchSize ?? CONFIG.batchSize;
+  CONFIG.translation.locales = locales ? locales.translations : [];
+  CONFIG.llm.provider = process.env.LLM_PROVIDER || pipeline.llmProvider || CONFIG.llm.provider;
+}
+
+// The provider as the run report records it; null until main() has set it up
+function reportedProvider() {
+  return llmProvider && { name: llmProvider.name, label: llmProvider.label, models: activeModels };
+}
+
 async function main() {
+  const cli = parseCliArgs(process.argv.slice(2));
+  if (cli.help) {
+    console.log(USAGE);
+    return;
+  }
+  runReport = createRunReport({ args: process.argv.slice(2) });
+  runReport.phase('load');
+  applySiteConfig(loadSiteConfig());
+
+  llmProvider = createProvider(CONFIG.llm.provider, CONFIG.llm);
+  llmConcurrency = CONFIG.llm.providers[CONFIG.llm.provider].concurrency || CONFIG.llm.concurrency;
+  llmLimit = createLimiter({ concurrency: llmConcurrency, minIntervalMs: CONFIG.apiDelay });
+  activeModels = llmProvider.models;
+
+  if (cli.batchSize !== null) CONFIG.batchSize = cli.batchSize;
+  if (cli.model) {
+    if (!llmProvider.models.includes(cli.model)) {
+      console.log(`Note: ${cli.model} is not in the ${llmProvider.name} model list (${llmProvider.models.join(', ')})`);
+    }
+    activeModels = [cli.model];
+  }
+
+  const sources = normalizeSources(CONFIG.sources);
+  const prompts = loadPromptTemplates();
+
   console.log('=== Incremental Blog Generator ===\n');
+  console.log(`Prompt templates: ${[...prompts.templates.values()].map(t => `${t.name} v${t.version}`).join(', ')}\n`);
 
-  // Load existing articles
+  // Load existing articles. The pipeline works on the generated values;
+  // content/ overrides are merged back on top before writing.
   const existingArticles = loadExistingArticles();
+  for (const [id, entry] of existingArticles) {
+    existingArticles.set(id, restoreGenerated(entry));
+  }
+
+  const content = loadContentOverrides();
+  const contentConflicts = [...content.problems];
+  if (content.overrides.size > 0) {
+    const locked = [...content.overrides.values()].filter(o => o.lock).length;
+    console.log(`Content overrides: ${content.overrides.size} in content/ (${locked} locked)\n`);
+  }
 
+  runReport.phase('fetch repos');
   console.log('Fetching repositories...');
-  const repos = await fetchRepos();
+  const repos = await fetchRepos(sources);
   const forkCount = repos.filter(r => r._type === 'fork').length;
   const ownedCount = repos.filter(r => r._type === 'original').length;
   console.log(`Found ${repos.length} repos (${forkCount} forks, ${ownedCount} original)\n`);
 
   const recentRepos = repos.slice(0, CONFIG.reposToShow);
 
-  // Separate repos into: needs generation vs already has article
-  const needsGeneration = [];
-  const hasArticle = [];
-
-  for (const repo of recentRepos) {
-    const existing = existingArticles.get(repo.id);
-    if (existing && !isFallbackArticle(existing.summary)) {
-      hasArticle.push({ repo, existing });
-    } else {
-      needsGeneration.push(repo);
-    }
+  // A dry run has no side effects: drift is judged from stored fingerprints
+  // only, and checks that would refetch READMEs and trees are reported as skipped
+  const driftBudget = { remaining: cli.dryRun ? 0 : CONFIG.drift.maxChecksPerRun };
+  runReport.phase('plan');
+
+  // Decide what can be decided from stored data first; drift checks refetch
+  // inputs, so they run concurrently afterwards. `planned` keeps listing order.
+  const { planned, untouched, conflicts, exhausted } = planRepos(recentRepos, {
+    existingArticles,
+    isTargeted: repo => isTargeted(repo, cli),
+    assess: entry => assessArticle(entry.summary, entry.quality, { stored: true }),
+    overrides: content.overrides,
+    force: cli.force,
+    outdated: entry => cli.outdatedPrompts && outdatedPrompt(entry.prompt, prompts),
+    maxAttempts: CONFIG.quality.maxAttempts
+  });
+  contentConflicts.push(...conflicts);
+  for (const { repo, quality } of exhausted) {
+    console.log(`  • ${repo.name}: keeping after ${quality.failedAttempts} attempts (quality ${quality.score}/100: ${quality.reasons.join('; ')})`);
   }
 
+  // Checks start in listing order, so the drift budget goes to the same repos
+  const drifts = await mapPool(planned, CONFIG.github.concurrency, ({ repo, existing, driftDue }) =>
+    driftDue ? checkDrift(repo, existing, driftBudget) : null
+  );
+
+  const { generation, kept: hasArticle, deferredChecks, notes } = settlePlan(planned, drifts, { threshold: CONFIG.drift.threshold });
+  notes.forEach(note => console.log(`  ${note}`));
+
+  const needsGeneration = generation.map(g => g.repo);
+  const generationReasons = new Map(generation.map(g => [g.repo.id, g.reason]));
+
   console.log(`Articles status:`);
   console.log(`  - Already have good articles: ${hasArticle.length}`);
   console.log(`  - Need AI generation: ${needsGeneration.length}`);
+  if (untouched.length > 0) {
+    console.log(`  - Outside this run's filters: ${untouched.length}`);
+  }
+  if (deferredChecks > 0) {
+    console.log(cli.dryRun
+      ? `  - Drift checks needing a refetch, skipped in a dry run: ${deferredChecks}`
+      : `  - Drift checks deferred to next run: ${deferredChecks}`);
+  }
 
-  // Batch processing: only process up to batchSize per run
-  const batchToProcess = needsGeneration.slice(0, CONFIG.batchSize);
+  // Batch processing: only process up to batchSize per run. Queued repos
+  // outside the batch keep their stored entry until a later run.
+  const { batch, carried } = splitBatch(generation, CONFIG.batchSize, existingArticles);
+  const batchToProcess = batch.map(g => g.repo);
   const remaining = needsGeneration.length - batchToProcess.length;
 
   if (batchToProcess.length < needsGeneration.length) {
-    console.log(`  - This batch: ${batchToProcess.length} (${remaining} remaining for next run)`);
+    console.log(`  - This batch: ${batchToProcess.length} (${remaining} remaining for next run, ${carried.length} keeping their stored article)`);
   }
   console.log('');
 
-  const forks = [];
+  if (cli.dryRun) {
+    const listed = new Set(recentRepos.map(r => r.id));
+    const removed = [...existingArticles.values()].filter(f => !listed.has(f.id));
+    printPlan({ generation, batchToProcess, hasArticle, untouched, removed });
+    contentConflicts.forEach(conflict => console.log(`  ! ${conflict}`));
+    return;
+  }
+
+  // Out-of-scope entries, and queued ones outside this batch, pass through unchanged
+  let forks = [...untouched, ...carried.map(c => c.existing)];
+  for (const { repo, reason, existing } of carried) {
+    runReport.repo({ name: repo.name, outcome: 'preserved', reason: `${reason}; queued for a later batch`, quality: existing.quality && { score: existing.quality.score, passed: existing.quality.passed } });
+  }
   let aiCallCount = 0;
+  let fetchFailures = 0;
+  const upstreamBudget = { remaining: CONFIG.upstream.maxChecksPerRun };
 
   // First, add repos that already have good articles (no AI call needed)
-  for (const { repo, existing } of hasArticle) {
-    const detailed = await fetchRepoDetails(repo);
+  runReport.phase('refresh preserved');
+  const details = await mapPool(hasArticle, CONFIG.github.concurrency, ({ repo }) => fetchRepoDetails(repo));
+  // A second pass so the upstream budget goes to repos in listing order
+  const upstreams = await mapPool(hasArticle, CONFIG.github.concurrency, ({ repo, existing }, i) =>
+    details[i].ok && details[i].value !== repo ? resolveUpstream(repo, details[i].value, existing.upstream, upstreamBudget) : existing.upstream
+  );
+  for (const [i, { repo, existing, fingerprint, driftCheck, quality }] of hasArticle.entries()) {
+    runReport.repo({ name: repo.name, outcome: 'preserved', quality: { score: quality.score, passed: quality.passed } });
+    let detailed = repo;
+    if (details[i].ok) {
+      detailed = details[i].value;
+    } else {
+      console.log(`  ! ${repo.name}: keeping stored topics/parent (${details[i].error.message})`);
+    }
+    const upstream = detailed === repo ? existing.upstream : upstreams[i].value;
     forks.push({
       ...existing,
       // Update metadata but keep the article
@@ -531,70 +1083,142 @@ async function main() {
       topics: detailed.topics || existing.topics || [],
       parent: detailed.parent || existing.parent,
       type: repo._type,
+      source: repo._source,
+      image: coverPath(repo.name),
       updatedAt: formatDate(repo.updated_at),
+      quality,
+      // Older entries get a stack from the paths their knowledge graph kept
+      stack: existing.stack && existing.stack.version === STACK_VERSION
+        ? existing.stack
+        : detectStackFromKnowledgeGraph(existing.knowledgeGraph, { language: repo.language }),
+      upstream: upstream || null,
+      fingerprint,
+      driftCheck
     });
   }
   console.log(`Preserved ${hasArticle.length} existing articles\n`);
 
   // Generate articles only for repos in this batch
+  runReport.phase('generate');
   if (batchToProcess.length > 0) {
     console.log(`Generating articles for ${batchToProcess.length} repos (batch ${Math.ceil((hasArticle.length + batchToProcess.length) / CONFIG.batchSize)} of ${Math.ceil(recentRepos.length / CONFIG.batchSize)})...\n`);
 
-    let consecutiveRateLimits = 0;
-    let aiSuccessCount = 0;
-    let rateLimitHit = false;
-
-    for (let i = 0; i < batchToProcess.length; i++) {
-      const repo = batchToProcess[i];
-      console.log(`Processing ${i + 1}/${batchToProcess.length}: ${repo.name}`);
-
+    // Inputs for the whole batch, then upstream counts in batch order (see
+    // the preserved repos above)
+    const inputs = await mapPool(batchToProcess, CONFIG.github.concurrency, async repo => {
+      const started = Date.now();
       const [detailed, readme, fileTree] = await Promise.all([
         fetchRepoDetails(repo),
         fetchReadme(repo),
         fetchRepoTree(repo)
       ]);
+      // Manifests are looked up in the full tree so a deep package.json isn't missed
+      let packages = [];
+      let packagesError = null;
+      try {
+        packages = await fetchPackages(repo, fileTree);
+      } catch (error) {
+        packagesError = error.message;
+      }
+      return { detailed, readme, fileTree, packages, packagesError, fetchMs: Date.now() - started };
+    });
+    const upstreams = await mapPool(batchToProcess, CONFIG.github.concurrency, (repo, i) => {
+      const existing = existingArticles.get(repo.id);
+      return inputs[i].ok ? resolveUpstream(repo, inputs[i].value.detailed, existing && existing.upstream, upstreamBudget) : null;
+    });
+
+    let aiSuccessCount = 0;
+    let rateLimitNoted = false;
+
+    // Up to llmConcurrency repos generate at once, so their log lines can
+    // interleave; entries and report rows are added in batch order below
+    const results = await mapPool(batchToProcess, llmConcurrency, async (repo, i) => {
+      const repoStarted = Date.now();
+      console.log(`Processing ${i + 1}/${batchToProcess.length}: ${repo.name}`);
+      const existing = existingArticles.get(repo.id);
+
+      if (!inputs[i].ok) {
+        // Never generate from inputs we failed to read; retry next run
+        const { error } = inputs[i];
+        console.log(`  ! Skipped: ${error.message}`);
+        fetchFailures++;
+        return {
+          entry: existing || null,
+          report: { name: repo.name, outcome: 'error', reason: error.message, durationMs: Date.now() - repoStarted }
+        };
+      }
+      const { detailed, readme, fileTree, packages, packagesError, fetchMs } = inputs[i].value;
 
       console.log(`  - README: ${readme ? `${readme.length} chars` : 'not found'}`);
       console.log(`  - Files: ${fileTree.length} discovered`);
+      if (packagesError) {
+        console.log(`  ! Dependencies unavailable: ${packagesError}`);
+      }
+
+      // The stored knowledge graph covers the first maxFiles paths; the prompt
+      // gets the whole tree, packed to the model's budget
+      const contextTree = fileTree.slice(0, CONFIG.maxFiles);
 
       // Build knowledge graph from file tree
-      const knowledgeGraph = buildKnowledgeGraph(fileTree);
+      const knowledgeGraph = buildKnowledgeGraph(contextTree, packages);
       const langCount = Object.keys(knowledgeGraph.languages).length;
       const dirCount = Object.keys(knowledgeGraph.directories).length;
-      console.log(`  - Knowledge graph: ${dirCount} dirs, ${langCount} languages, ${knowledgeGraph.entryPoints.length} entry points`);
+      console.log(`  - Knowledge graph: ${dirCount} dirs, ${langCount} languages, ${knowledgeGraph.entryPoints.length} entry points, ${packages.length} packages`);
+
+      const stack = detectStack(fileTree, packages, { language: repo.language });
+      if (stack.technologies.length > 0) {
+        console.log(`  - Stack: ${stack.technologies.map(t => t.name).join(', ')}`);
+      }
+
+      // A locked override with its own article makes the AI call pointless
+      const override = content.overrides.get(repo.name.toLowerCase());
+      const handWritten = Boolean(override && override.lock && override.body);
+      if (handWritten) {
+        console.log(`  - Article: hand-written in ${override.file} (locked), AI skipped`);
+      }
+
+      const template = selectTemplate(prompts, detailed, { fileTree, stack });
 
-      // Try to generate AI article (skip if rate limited)
+      // Try to generate AI article (skip once every model is rate limited)
       let article = null;
-      if (!rateLimitHit) {
-        article = await generateBlogArticle(detailed, readme, fileTree, knowledgeGraph);
+      let fields = null;
+      if (!handWritten && !allModelsRateLimited()) {
+        const generated = await generateBlogArticle(detailed, readme, fileTree, knowledgeGraph, stack, { prompts, template });
+        article = generated && generated.summary;
+        fields = generated && generated.fields;
         aiCallCount++;
 
         if (article) {
-          consecutiveRateLimits = 0;
           aiSuccessCount++;
-        } else {
-          consecutiveRateLimits++;
-          // Stop trying AI after 3 consecutive failures (likely rate limited)
-          if (consecutiveRateLimits >= 3) {
-            console.log(`\n⚠️  Rate limit detected. Skipping AI for remaining ${batchToProcess.length - i - 1} repos in batch.`);
-            console.log(`   Successfully generated ${aiSuccessCount} AI articles before limit.\n`);
-            rateLimitHit = true;
-          }
+        } else if (allModelsRateLimited() && !rateLimitNoted) {
+          console.log(`\n⚠️  Every model is rate limited. Skipping AI for the rest of the batch.`);
+          console.log(`   Successfully generated ${aiSuccessCount} AI articles before limit.\n`);
+          rateLimitNoted = true;
         }
       }
 
       // Prefer: AI article > existing article > fallback
-      const existing = existingArticles.get(repo.id);
       const finalArticle = article || (existing && existing.summary) || generateFallbackSummary(repo);
       const source = article ? 'AI generated' : (existing && existing.summary) ? 'preserved' : 'fallback';
-      console.log(`  - Article: ${finalArticle.length} chars (${source})`);
+      const quality = assessArticle(finalArticle, existing && existing.quality, { regenerated: Boolean(article), stored: !article });
+      const grounding = checkGrounding(finalArticle, { fileTree, readme });
+      console.log(`  - Article: ${finalArticle.length} chars (${source}), quality ${quality.score}/100`);
+      if (quality.reasons.length > 0) {
+        console.log(`    ${quality.reasons.join('; ')}`);
+      }
+      if (grounding.invalid.length > 0) {
+        console.log(`  - Grounding ${Math.round(grounding.ratio * 100)}%, not in repo: ${grounding.invalid.join(', ')}`);
+      }
 
-      forks.push({
+      const entry = {
         id: repo.id,
         name: repo.name,
         displayName: repo.name.replace(/-/g, ' ').replace(/_/g, ' '),
         description: repo.description || 'No description available',
         summary: finalArticle,
+        // Title, TL;DR, sections, tags, audience and difficulty of an AI
+        // article; a preserved article keeps its own
+        ...(article ? fields : existing && existing.summary && articleFields(existing)),
         url: repo.html_url,
         language: repo.language,
         stars: repo.stargazers_count,
@@ -602,33 +1226,114 @@ async function main() {
         topics: detailed.topics || [],
         parent: detailed.parent || null,
         type: repo._type || 'fork',
-        image: (existing && existing.image) || getRandomUnsplashUrl(i),
+        source: repo._source,
+        image: coverPath(repo.name),
         forkedAt: formatDate(repo.created_at),
         updatedAt: formatDate(repo.updated_at),
         readTime: estimateReadTime(finalArticle),
-        knowledgeGraph: knowledgeGraph
-      });
+        // The template behind an AI article; a preserved article keeps its own
+        prompt: article && llmProvider.isConfigured()
+          ? { template, version: prompts.templates.get(template).version }
+          : existing && existing.prompt,
+        // Tokens and estimated cost of the calls behind an AI article
+        usage: article && llmProvider.isConfigured() ? articleUsage(repo.name) : existing && existing.usage,
+        quality,
+        grounding,
+        knowledgeGraph: knowledgeGraph,
+        stack,
+        upstream: upstreams[i].value,
+        // A preserved article keeps the fingerprint of the inputs it was written from
+        fingerprint: article || !existing || !existing.fingerprint
+          ? computeFingerprint({
+            readme,
+            fileTree,
+            description: repo.description,
+            topics: detailed.topics,
+            pushedAt: repo.pushed_at
+          })
+          : existing.fingerprint,
+        // Kept until the translation step sees the English changed
+        translations: existing ? existing.translations : undefined
+      };
 
-      // Rate limiting delay (only between AI calls, skip if rate limited)
-      if (!rateLimitHit && i < batchToProcess.length - 1) {
-        await new Promise(r => setTimeout(r, CONFIG.apiDelay));
-      }
+      const regenerated = Boolean(article) && llmProvider.isConfigured();
+      const outcome = regenerated ? 'regenerated' : !article && existing && existing.summary ? 'preserved' : 'fallback';
+      return {
+        entry,
+        report: {
+          name: repo.name,
+          outcome,
+          reason: regenerated ? generationReasons.get(repo.id) : `${generationReasons.get(repo.id)}; ${handWritten ? 'hand-written, AI skipped' : 'no AI article'}`,
+          models: regenerated ? articleUsage(repo.name).models : [],
+          quality: { score: quality.score, passed: quality.passed },
+          durationMs: fetchMs + Date.now() - repoStarted
+        }
+      };
+    });
+
+    for (const result of results) {
+      // Anything not handled above is a bug (a broken prompt template, say)
+      if (!result.ok) throw result.error;
+      if (result.value.entry) forks.push(result.value.entry);
+      runReport.repo(result.value.report);
     }
 
     console.log(`\nBatch summary: ${aiSuccessCount} AI generated, ${batchToProcess.length - aiSuccessCount} fallback`);
   }
 
-  // Sort by updated date
-  forks.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+  // Hand-written overrides go on top of the generated entries
+  runReport.phase('overrides & curation');
+  const matched = new Set();
+  const contentWarnings = [];
+  for (let i = 0; i < forks.length; i++) {
+    const key = forks[i].name.toLowerCase();
+    const override = content.overrides.get(key);
+    if (!override) continue;
+    matched.add(key);
+    const result = applyOverride(forks[i], override, { readTime: estimateReadTime });
+    forks[i] = result.entry;
+    result.conflicts.forEach(conflict => contentConflicts.push(`${override.file}: ${conflict}`));
+    result.warnings.forEach(warning => contentWarnings.push(`${override.file}: ${warning}`));
+  }
+  for (const [key, override] of content.overrides) {
+    if (!matched.has(key)) contentConflicts.push(`${override.file}: no repo named "${key}" in the feed`);
+  }
+  if (contentConflicts.length > 0) {
+    console.log(`\nContent conflicts:`);
+    contentConflicts.forEach(conflict => console.log(`  ! ${conflict}`));
+  }
+  if (contentWarnings.length > 0) {
+    console.log(`\nContent warnings:`);
+    contentWarnings.forEach(warning => console.log(`  • ${warning}`));
+  }
+
+  // Curated order, hidden entries, Featured section and collections
+  const curated = curate(forks, CONFIG.curation);
+  forks = curated.forks;
+  if (curated.problems.length > 0) {
+    console.log(`\nCuration problems:`);
+    curated.problems.forEach(problem => console.log(`  ! ${problem}`));
+  }
+
+  runReport.phase('translate');
+  const translations = await translateEntries(forks.filter(f => !f.curation.hidden), cli);
+
+  // Related projects are recomputed across the visible entries on each run
+  const related = computeRelated(forks.filter(f => !f.curation.hidden), CONFIG.related);
+  for (const fork of forks) {
+    fork.related = related.get(fork.id) || [];
+  }
 
-  // Count how many have AI articles vs fallback
-  const aiArticleCount = forks.filter(f => !isFallbackArticle(f.summary)).length;
+  // Count how many articles pass the quality bar vs still need work
+  runReport.phase('write');
+  const scored = forks.map(f => f.quality || assessArticle(f.summary));
+  const aiArticleCount = scored.filter(q => q.passed).length;
   const fallbackCount = forks.length - aiArticleCount;
-  const pendingCount = needsGeneration.length - batchToProcess.length;
+  const pendingCount = needsGeneration.length - batchToProcess.length + fetchFailures;
 
   const output = {
     lastUpdated: new Date().toISOString(),
-    generatedWith: 'GitHub Models API (GPT-4o, GPT-4o-mini, GPT-4.1)',
+    generatedWith: describeProvider(llmProvider),
     totalRepos: forks.length,
     progress: {
       aiGenerated: aiArticleCount,
@@ -636,23 +1341,86 @@ async function main() {
       pending: pendingCount,
       complete: pendingCount === 0
     },
+    featured: curated.featured,
+    collections: curated.collections,
+    // AI calls made by this run
+    usage: tokenUsage.totals(),
     forks
   };
 
-  fs.writeFileSync('forks.json', JSON.stringify(output, null, 2));
+  const written = writeForksFile('forks.json', output);
+  github.saveCache();
+
+  // Only after forks.json validated and was written
+  const history = appendSnapshots(forks, output.lastUpdated);
+  const coversWritten = writeCovers(forks);
+  const siteData = writeSiteData(written);
+
+  const { stats, rateLimit } = github;
   console.log(`\n=== Complete ===`);
+  console.log(`GitHub API: ${stats.requests} requests (${stats.notModified} not modified, ${stats.retries} retries, ${stats.errors} errors)`);
+  if (rateLimit.limit !== null) {
+    console.log(`Rate limit remaining: ${rateLimit.remaining}/${rateLimit.limit}`);
+  }
   console.log(`Total repos: ${forks.length}`);
+  console.log(`History: ${history.appended} snapshots appended, ${history.removed} repos marked removed`);
+  console.log(`Covers: ${coversWritten} written`);
+  console.log(`Page data: ${siteData.written} files written, ${siteData.removed} removed`);
+  console.log(`Content overrides: ${matched.size} applied, ${contentConflicts.length} conflicts, ${contentWarnings.length} warnings`);
+  if (CONFIG.translation.locales.length > 0) {
+    console.log(`Translations: ${translations.translated} new, ${translations.failed} failed checks, ${translations.current} current, ${translations.pending} pending`);
+  }
+  if (output.usage.calls > 0) {
+    console.log(`AI usage: ${formatUsage(output.usage)}`);
+    for (const [model, usage] of Object.entries(output.usage.byModel)) {
+      console.log(`  ${model}: ${formatUsage(usage)}`);
+    }
+  }
+  console.log(`Curation: ${forks.filter(f => f.curation.hidden).length} hidden, ${forks.filter(f => f.curation.pinned).length} pinned, featured ${curated.featured.join(', ') || 'none'}`);
   console.log(`AI articles: ${aiArticleCount}`);
-  console.log(`Fallback articles: ${fallbackCount}`);
+  console.log(`Fallback / low-quality articles: ${fallbackCount}`);
+  const quality = summarizeQuality(scored);
+  printQualitySummary(quality);
   console.log(`Pending (next run): ${pendingCount}`);
   if (pendingCount > 0) {
     console.log(`\n→ Run workflow again to process next batch of ${Math.min(CONFIG.batchSize, pendingCount)} repos`);
   } else {
     console.log(`\n✓ All repos have been processed!`);
   }
+
+  writeRunReport(runReport.finish({
+    status: 'success',
+    provider: reportedProvider(),
+    github: { stats, rateLimit },
+    usage: output.usage,
+    quality,
+    totals: { repos: forks.length, untouched: untouched.length, pending: pendingCount, translations }
+  }), CONFIG.report.file);
+  console.log(`Run report: ${CONFIG.report.file}`);
 }
 
 main().catch(err => {
-  console.error('Error:', err);
+  // A failed run still reports how far it got
+  if (runReport) {
+    try {
+      writeRunReport(runReport.finish({
+        status: 'failed',
+        error: err.message,
+        provider: reportedProvider(),
+        github: { stats: github.stats, rateLimit: github.rateLimit },
+        usage: tokenUsage.totals()
+      }), CONFIG.report.file);
+    } catch (e) {
+      console.error(`Could not write ${CONFIG.report.file}: ${e.message}`);
+    }
+  }
+  if (err instanceof UsageError) {
+    console.error(`${err.message}\n\n${USAGE}`);
+  } else if (err instanceof ForksValidationError || err instanceof SourceConfigError || err instanceof PromptTemplateError || err instanceof SiteConfigError ||
+    (err instanceof ProviderError && err.kind === 'config')) {
+    console.error(`Error: ${err.message}`);
+  } else {
+    console.error('Error:', err);
+  }
   process.exit(1);
 });
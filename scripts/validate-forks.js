@@ -0,0 +1,37 @@
+const fs = require('fs');
+const { SCHEMA_VERSION, readForksFile, writeForksFile } = require('./lib/forks-store');
+
+// Check forks.json against schemas/forks.schema.json.
+//   node scripts/validate-forks.js [file] [--migrate]
+// --migrate rewrites the file at the current schemaVersion.
+
+function main() {
+  const args = process.argv.slice(2);
+  const migrate = args.includes('--migrate');
+  const file = args.find(a => !a.startsWith('--')) || 'forks.json';
+
+  if (!fs.existsSync(file)) {
+    console.error(`Error: ${file} not found.`);
+    process.exit(1);
+  }
+
+  const { data, applied } = readForksFile(file);
+  console.log(`${file}: valid (schemaVersion ${SCHEMA_VERSION}, ${data.forks.length} projects)`);
+
+  if (applied.length > 0) {
+    applied.forEach(step => console.log(`  migration ${step}`));
+    if (migrate) {
+      writeForksFile(file, data);
+      console.log(`Rewrote ${file} at schemaVersion ${SCHEMA_VERSION}`);
+    } else {
+      console.log('Run with --migrate to write the upgraded file.');
+    }
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}